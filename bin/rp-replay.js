@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * Replays a launch recorded with the `record: true` reporter option into Report Portal.
+ *
+ * Usage:
+ *   node bin/rp-replay.js <recording> [--endpoint <url>] [--project <name>] [--token <token>]
+ *
+ * The endpoint, project and token default to RP_ENDPOINT, RP_PROJECT and RP_TOKEN.
+ * The recording is the console output of a k6 run (`k6 run --console-output=<recording>`),
+ * lines without recorded events are ignored. Items keep the UUIDs, times and hierarchy
+ * they were recorded with.
+ */
+const fs = require('fs');
+
+const RECORD_PREFIX = 'RP_RECORD ';
+
+/**
+ * Reads the command line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{file: string, endpoint: string, project: string, token: string}} Replay options
+ */
+function parseArgs(args) {
+    const options = {
+        file: null,
+        endpoint: process.env.RP_ENDPOINT,
+        project: process.env.RP_PROJECT,
+        token: process.env.RP_TOKEN
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--endpoint' || arg === '--project' || arg === '--token') {
+            options[arg.slice(2)] = args[++i];
+        } else {
+            options.file = arg;
+        }
+    }
+
+    const missing = ['file', 'endpoint', 'project', 'token'].filter(key => !options[key]);
+    if (missing.length > 0) {
+        throw new Error(`Missing ${missing.join(', ')}. ` +
+            'Usage: rp-replay.js <recording> [--endpoint <url>] [--project <name>] [--token <token>]');
+    }
+
+    return options;
+}
+
+/**
+ * Extracts the recorded events from a k6 console output file
+ * @param {string} content - File content
+ * @returns {Object[]} Recorded events in recording order
+ */
+function parseRecording(content) {
+    return content.split(/\r?\n/).reduce((events, line) => {
+        let message = line;
+
+        // k6 writes console output as logfmt: time="..." level=info msg="RP_RECORD {...}" source=console
+        const logfmt = line.match(/\bmsg="((?:[^"\\]|\\.)*)"/);
+        if (logfmt) {
+            message = JSON.parse(`"${logfmt[1]}"`);
+        }
+
+        const start = message.indexOf(RECORD_PREFIX);
+        if (start !== -1) {
+            events.push(JSON.parse(message.slice(start + RECORD_PREFIX.length)));
+        }
+        return events;
+    }, []);
+}
+
+/**
+ * Sends a recorded event to Report Portal
+ * @param {Object} event - Recorded event
+ * @param {Object} options - Replay options
+ */
+async function replayEvent(event, options) {
+    const baseUrl = `${options.endpoint}/api/v1/${options.project}`;
+
+    switch (event.type) {
+        case 'startLaunch':
+            return send('POST', `${baseUrl}/launch`, event.payload, options);
+        case 'finishLaunch':
+            return send('PUT', `${baseUrl}/launch/${event.uuid}/finish`, event.payload, options);
+        case 'startItem':
+            return send('POST', `${baseUrl}/item${event.parentUuid ? `/${event.parentUuid}` : ''}`,
+                event.payload, options);
+        case 'finishItem':
+            return send('PUT', `${baseUrl}/item/${event.uuid}`, event.payload, options);
+        case 'log':
+            return event.file
+                ? sendAttachment(`${baseUrl}/log`, event.payload, event.file, options)
+                : send('POST', `${baseUrl}/log`, event.payload, options);
+        default:
+            throw new Error(`Unknown recorded event "${event.type}"`);
+    }
+}
+
+/**
+ * Sends a JSON request to Report Portal
+ * @private
+ */
+async function send(method, url, payload, options) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${options.token}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+    });
+    return checkResponse(method, url, response);
+}
+
+/**
+ * Sends a log with a file as a multipart request to Report Portal
+ * @private
+ */
+async function sendAttachment(url, payload, file, options) {
+    const form = new FormData();
+    form.append('json_request_part', new Blob([JSON.stringify([payload])], {type: 'application/json'}));
+    form.append('file', new Blob([Buffer.from(file.content, file.encoding)], {type: file.contentType}), file.name);
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {'Authorization': `Bearer ${options.token}`},
+        body: form
+    });
+    return checkResponse('POST', url, response);
+}
+
+/** @private */
+async function checkResponse(method, url, response) {
+    const body = await response.text();
+    if (!response.ok) {
+        throw new Error(`${method} ${url} failed with status ${response.status}: ${body}`);
+    }
+    return body;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const events = parseRecording(fs.readFileSync(options.file, 'utf8'));
+
+    if (events.length === 0) {
+        throw new Error(`No recorded events found in ${options.file}`);
+    }
+
+    // Events are replayed one by one, an item has to exist before its children and logs are sent
+    for (const event of events) {
+        await replayEvent(event, options);
+    }
+
+    const launch = events.find(event => event.type === 'startLaunch');
+    console.log(`Replayed ${events.length} events${launch ? ` into launch ${launch.uuid}` : ''}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {parseArgs, parseRecording, replayEvent};
@@ -1,22 +1,41 @@
 // lib/index.js
 import {runTestSuites} from "../src/index.js";
-import {createReporter} from "../src/report-portal-client.js";
-import {Suite, Test, Setup, Teardown} from "../src/decorators.js";
+import {createReporter, AnalyzerType, DefectType} from "../src/report-portal-client.js";
+import {junitReport, jsonReport} from "../src/results.js";
+import {reportSummary} from "../src/summary.js";
+import {check} from "../src/checks.js";
+import {runQualityGate, QUALITY_GATE_THRESHOLDS} from "../src/gate.js";
+import {Suite, Test, TestCases, Skip, Setup, Teardown, BeforeEach, AfterEach, BeforeAll, AfterAll} from "../src/decorators.js";
 
 /**
  * Run all test suites
  * @param {Object} data Configuration from k6 setup
- * @returns {Promise<void>}
+ * @returns {Promise<Object|Array<Object>>} Result tree for junitReport / jsonReport, or the selected tests
+ * when running in dry-run mode
  */
 export async function runSuites(data) {
     // Use the existing rpClient from data instead of creating new one
-    await runTestSuites(data);
+    return runTestSuites(data);
 }
 
 export {
     createReporter,
+    AnalyzerType,
+    DefectType,
+    junitReport,
+    jsonReport,
+    reportSummary,
+    runQualityGate as qualityGate,
+    QUALITY_GATE_THRESHOLDS,
+    check,
     Suite,
     Test,
+    TestCases,
+    Skip,
     Setup,
-    Teardown
+    Teardown,
+    BeforeEach,
+    AfterEach,
+    BeforeAll,
+    AfterAll
 }
@@ -0,0 +1,153 @@
+import exec from 'k6/execution';
+import {getEnv} from './helpers.js';
+
+const GIT_SHA_VARIABLES = ['GIT_COMMIT', 'GIT_SHA', 'GITHUB_SHA', 'CI_COMMIT_SHA', 'BUILD_SOURCEVERSION'];
+const GIT_BRANCH_VARIABLES = ['GIT_BRANCH', 'BRANCH_NAME', 'GITHUB_REF_NAME', 'CI_COMMIT_REF_NAME',
+    'BUILD_SOURCEBRANCHNAME'];
+
+/**
+ * Parses attributes written as `key:value` pairs separated by semicolons, e.g. `env:staging;build:123;smoke`.
+ * An entry without a colon is an attribute without key.
+ * @param {string} text - Attributes text, e.g. from `RP_ATTRIBUTES`
+ * @returns {Array<{key: string, value: string}>} Parsed attributes
+ */
+export function parseAttributes(text) {
+    return String(text || '').split(';')
+        .map(entry => entry.trim())
+        .filter(entry => entry !== '')
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            if (separator === -1) return {value: entry};
+            return {key: entry.slice(0, separator).trim(), value: entry.slice(separator + 1).trim()};
+        });
+}
+
+/**
+ * Gets the attributes configured for a launch: the component and the configured attributes,
+ * which default to `RP_COMPONENT` and `RP_ATTRIBUTES`
+ * @param {Object} options - Reporter configuration
+ * @param {string} [options.component] - Component under test, added as the `component` attribute
+ * @param {Object|Array|string} [options.attributes] - Attributes as an object, an array or `key:value;...` text
+ * @returns {Array<{key: string, value: string}>} Configured attributes
+ */
+export function getConfiguredAttributes(options) {
+    const component = options.component || getEnv('RP_COMPONENT');
+    const attributes = options.attributes !== undefined ? options.attributes : getEnv('RP_ATTRIBUTES');
+
+    return [
+        ...(component ? [{key: 'component', value: String(component)}] : []),
+        ...formatAttributes(attributes)
+    ];
+}
+
+/**
+ * Gets the attributes describing the test run: k6 version, VUs, iterations, base URL host, git commit and branch.
+ * Attributes whose value is not known are left out.
+ * @param {Object} options - Reporter configuration
+ * @param {string} [options.baseURL] - Base URL of the system under test, defaults to `BASE_URL`
+ * @returns {Array<{key: string, value: string}>} System attributes
+ */
+export function getSystemAttributes(options) {
+    const testOptions = getTestOptions();
+    const totals = getScenarioTotals(testOptions);
+    const attributes = {
+        k6: getK6Version(testOptions),
+        vus: totals.vus,
+        iterations: totals.iterations,
+        host: getHost(options.baseURL || getEnv('BASE_URL')),
+        commit: findEnv(GIT_SHA_VARIABLES),
+        branch: findEnv(GIT_BRANCH_VARIABLES)
+    };
+
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '' && value !== 0)
+        .map(([key, value]) => ({key, value: String(value)}));
+}
+
+/**
+ * Formats attributes given as an object, an array or `key:value;...` text
+ * @param {Object|Array|string} attributes - Attributes
+ * @returns {Array<Object>} Formatted attributes array
+ */
+export function formatAttributes(attributes) {
+    if (!attributes) return [];
+
+    if (typeof attributes === 'string') {
+        return parseAttributes(attributes);
+    }
+
+    // Handle array format
+    if (Array.isArray(attributes)) {
+        return attributes;
+    }
+
+    // Handle object format
+    return Object.entries(attributes).map(([key, value]) => ({
+        key,
+        value: Array.isArray(value) ? value.join(',') : String(value)
+    }));
+}
+
+/**
+ * Reads the consolidated k6 options, not available in the init context
+ * @private
+ */
+function getTestOptions() {
+    try {
+        return (exec.test && exec.test.options) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Reads the k6 version from the default user agent, `K6_VERSION` overrides it
+ * @private
+ */
+function getK6Version(testOptions) {
+    if (getEnv('K6_VERSION')) return getEnv('K6_VERSION');
+
+    const match = /k6\/v?([\w.-]+)/.exec(testOptions.userAgent || '');
+    return match ? match[1] : undefined;
+}
+
+/**
+ * Adds up the VUs and iterations of the scenarios, an open-ended scenario leaves the iterations unknown
+ * @private
+ */
+function getScenarioTotals(testOptions) {
+    const scenarios = Object.values(testOptions.scenarios || {});
+    if (scenarios.length === 0) {
+        return {vus: testOptions.vus, iterations: testOptions.iterations};
+    }
+
+    let vus = 0;
+    let iterations = 0;
+    for (const scenario of scenarios) {
+        const scenarioVus = scenario.vus || scenario.maxVUs || scenario.preAllocatedVUs
+            || Math.max(scenario.startVUs || 0, ...(scenario.stages || []).map(stage => stage.target || 0));
+        vus += scenarioVus;
+
+        if (iterations === null) continue;
+        if (scenario.executor === 'shared-iterations') {
+            iterations += scenario.iterations || 1;
+        } else if (scenario.executor === 'per-vu-iterations') {
+            iterations += (scenario.iterations || 1) * scenarioVus;
+        } else {
+            iterations = null;
+        }
+    }
+    return {vus, iterations: iterations === null ? undefined : iterations};
+}
+
+/** @private */
+function getHost(url) {
+    const match = /^[a-z][\w+.-]*:\/\/(?:[^@/]*@)?([^/?#:]+)/i.exec(url || '');
+    return match ? match[1] : undefined;
+}
+
+/** @private */
+function findEnv(names) {
+    const name = names.find(candidate => getEnv(candidate));
+    return name ? getEnv(name) : undefined;
+}
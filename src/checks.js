@@ -0,0 +1,116 @@
+import {check as k6Check} from 'k6';
+import {ItemType, Status} from './report-portal-client.js';
+
+const MAX_ACTUAL_LENGTH = 1000;
+
+let activeCheck = null;
+
+/**
+ * Thrown when checks of a test failed, right away for fatal checks or at the end of the test otherwise
+ */
+export class CheckFailedError extends Error {
+    constructor(names) {
+        super(`${names.length} check(s) failed: ${names.join(', ')}`);
+        this.name = 'CheckFailedError';
+        this.checks = names;
+    }
+}
+
+/**
+ * Drop-in replacement for k6 `check()` reporting every named check as a step of the running test.
+ * A failed check logs the actual value and fails the test once its body completes, or right away with `fatal`.
+ * Outside of a test run by the runner it behaves like k6 `check()`.
+ * @param {*} value Value the checks are run against, e.g. an HTTP response
+ * @param {Object<string, function(*): boolean>} checks Checks by name
+ * @param {Object} [options] Check options
+ * @param {boolean} [options.fatal=false] Fail the test as soon as a check fails
+ * @param {Object} [options.tags] Tags of the k6 check metrics
+ * @returns {boolean} True if all checks passed
+ * @throws {CheckFailedError} If a check failed and `fatal` is set
+ */
+export function check(value, checks, options = {}) {
+    if (activeCheck) {
+        return activeCheck(value, checks, options);
+    }
+    return k6Check(value, checks, options.tags);
+}
+
+/**
+ * Make a check runner the one used by the exported `check()`
+ * @param {Function|null} checkRunner Check runner from createCheckRunner, null outside of tests
+ * @returns {Function|null} Check runner used before
+ */
+export function setActiveCheck(checkRunner) {
+    const previous = activeCheck;
+    activeCheck = checkRunner;
+    return previous;
+}
+
+/**
+ * Create the `check` helper of the test context, reporting checks as STEP items under the given parent item
+ * @param {string} parentId ID of the test or step the checks are reported under
+ * @param {Object} logger Reporter client
+ * @param {Array<string[]>} failureLists Lists the names of the failed checks are added to, e.g. the ones of the
+ * step and of the test
+ * @returns {function(*, Object, Object=): boolean} Check helper
+ */
+export function createCheckRunner(parentId, logger, failureLists) {
+    return function runChecks(value, checks, options = {}) {
+        const failed = [];
+
+        for (const [name, condition] of Object.entries(checks)) {
+            const stepId = logger.startItem({ name, type: ItemType.STEP, parentId, hasStats: false });
+
+            let passed;
+            let error = null;
+            try {
+                passed = Boolean(condition(value));
+            } catch (e) {
+                passed = false;
+                error = e;
+            }
+
+            // Feed the native check metrics with the result evaluated above
+            k6Check(value, { [name]: () => passed }, options.tags);
+
+            if (passed) {
+                logger.finishItem(stepId, Status.PASSED);
+                continue;
+            }
+
+            failed.push(name);
+            logger.error(stepId, error ? `Check failed: ${name}: ${error.message}` : `Check failed: ${name}`);
+            logger.info(stepId, `Actual: ${describeActual(value)}`);
+            logger.finishItem(stepId, Status.FAILED);
+        }
+
+        failureLists.forEach(failures => failures.push(...failed));
+        if (failed.length > 0 && options.fatal) {
+            throw new CheckFailedError(failed);
+        }
+        return failed.length === 0;
+    };
+}
+
+/**
+ * Describe the value a check ran against, the status and body for HTTP responses
+ * @private
+ */
+function describeActual(value) {
+    if (value && typeof value === 'object' && typeof value.status === 'number' && 'body' in value) {
+        return `status ${value.status}, body: ${truncate(String(value.body))}`;
+    }
+
+    let text;
+    try {
+        text = typeof value === 'string' ? value : JSON.stringify(value);
+    } catch (e) {
+        text = String(value);
+    }
+    return truncate(String(text));
+}
+
+/** @private */
+function truncate(text) {
+    return text.length > MAX_ACTUAL_LENGTH ? `${text.slice(0, MAX_ACTUAL_LENGTH)}... (truncated)` : text;
+}
@@ -31,6 +31,34 @@ export function Test(metadata) {
     };
 }
 
+/**
+ * TestCases decorator to run a test once per data row
+ * @param {Array|Function} cases Data rows, or a function of the runtime configuration returning them
+ * @param {Object} [options] Test case options
+ * @param {string} [options.idKey='testCaseId'] Row key holding the ID of a case, used in its test case ID
+ * @returns {Function} Decorator function
+ */
+export function TestCases(cases, options = {}) {
+    return function(target, propertyKey, descriptor) {
+        descriptor.value.testCases = cases;
+        descriptor.value.testCasesOptions = options;
+        return descriptor;
+    };
+}
+
+/**
+ * Skip decorator to report a test case as skipped without running it
+ * @param {Object} [options] Skip options
+ * @param {string} [options.reason] Why the test is skipped
+ * @returns {Function} Decorator function
+ */
+export function Skip(options = {}) {
+    return function(target, propertyKey, descriptor) {
+        descriptor.value.skipMetadata = options;
+        return descriptor;
+    };
+}
+
 /**
  * Setup decorator to mark a method as a setup method
  * @returns {Function} Decorator function
@@ -51,4 +79,43 @@ export function Teardown() {
         descriptor.value.isTeardown = true;
         return descriptor;
     };
-}
\ No newline at end of file
+}
+
+/**
+ * BeforeEach decorator to mark a method that runs before every test in the suite.
+ * The value it returns is passed to the test as `testData` in its context.
+ * @returns {Function} Decorator function
+ */
+export function BeforeEach() {
+    return function(target, propertyKey, descriptor) {
+        descriptor.value.isBeforeEach = true;
+        return descriptor;
+    };
+}
+
+/**
+ * AfterEach decorator to mark a method that runs after every test in the suite
+ * @returns {Function} Decorator function
+ */
+export function AfterEach() {
+    return function(target, propertyKey, descriptor) {
+        descriptor.value.isAfterEach = true;
+        return descriptor;
+    };
+}
+
+/**
+ * BeforeAll decorator, alias of {@link Setup}
+ * @returns {Function} Decorator function
+ */
+export function BeforeAll() {
+    return Setup();
+}
+
+/**
+ * AfterAll decorator, alias of {@link Teardown}
+ * @returns {Function} Decorator function
+ */
+export function AfterAll() {
+    return Teardown();
+}
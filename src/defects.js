@@ -0,0 +1,129 @@
+import {DefectType} from './report-portal-client.js';
+
+/**
+ * Rules applied after the rules of the test and of the configuration
+ * @type {Array<Object>}
+ */
+export const DEFAULT_DEFECT_RULES = [
+    { type: DefectType.SYSTEM_ISSUE, errorType: 'TimeoutError', comment: 'Timed out' },
+    { type: DefectType.SYSTEM_ISSUE, status: { min: 500, max: 599 }, comment: 'Server error' },
+    { type: DefectType.SYSTEM_ISSUE, status: 0, comment: 'Network error' },
+    { type: DefectType.PRODUCT_BUG, errorType: ['CheckFailedError', 'AssertionError'], comment: 'Assertion failed' }
+];
+
+/**
+ * Classify the error that failed a test into a Report Portal defect type.
+ * A rule matches when all of its conditions match, the first matching rule wins:
+ * - `errorType`: error name or class, or a list of them
+ * - `status`: HTTP status of the error or of the last response of the test, a number, a `{min, max}` range
+ *   or a list of them
+ * - `message`: regex or substring of the error message
+ * - `when`: predicate called with the error and the classification context
+ * @param {Error} error Error that failed the test
+ * @param {Array<Object>} rules Rules with the `type` from DefectType and an optional `comment`
+ * @param {Object} [context] Classification context
+ * @param {Object} [context.response] Last HTTP response of the test
+ * @param {Object} [context.testMetadata] Metadata from the @Test decorator
+ * @returns {{issueType: string, comment: string}} Defect type and comment, TO_INVESTIGATE if no rule matches
+ */
+export function classifyDefect(error, rules, context = {}) {
+    const rule = rules.find(candidate => matchesRule(candidate, error, context));
+    const message = error && error.message ? error.message : String(error);
+
+    if (!rule) {
+        return { issueType: DefectType.TO_INVESTIGATE, comment: message };
+    }
+    return { issueType: rule.type, comment: rule.comment ? `${rule.comment}: ${message}` : message };
+}
+
+/**
+ * Check whether all conditions of a rule match the error
+ * @private
+ */
+function matchesRule(rule, error, context) {
+    if (rule.errorType !== undefined && !toList(rule.errorType).some(type => matchesErrorType(type, error))) {
+        return false;
+    }
+
+    if (rule.status !== undefined) {
+        const status = getStatus(error, context);
+        if (status === undefined || !toList(rule.status).some(expected => matchesStatus(expected, status))) {
+            return false;
+        }
+    }
+
+    if (rule.message !== undefined) {
+        const message = error && error.message ? error.message : String(error);
+        const matches = rule.message instanceof RegExp ? rule.message.test(message) : message.includes(rule.message);
+        if (!matches) return false;
+    }
+
+    return !rule.when || Boolean(rule.when(error, context));
+}
+
+/** @private */
+function matchesErrorType(type, error) {
+    if (typeof type === 'function') return error instanceof type;
+    return Boolean(error) && (error.name === type || (error.constructor && error.constructor.name === type));
+}
+
+/** @private */
+function matchesStatus(expected, status) {
+    return typeof expected === 'number' ? status === expected : status >= expected.min && status <= expected.max;
+}
+
+/**
+ * Read the HTTP status from the error, falling back to the last response of the test
+ * @private
+ */
+function getStatus(error, context) {
+    if (error && typeof error.status === 'number') return error.status;
+    if (error && error.response && typeof error.response.status === 'number') return error.response.status;
+    return context.response ? context.response.status : undefined;
+}
+
+/** @private */
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Find the known issues of a test, from its @Test metadata and the launch-wide known issues map.
+ * The map is keyed by test name, `Suite name > Test name` or test method name.
+ * @param {Object} testMetadata Metadata from the @Test decorator
+ * @param {Object} context Where the test runs
+ * @param {string} context.methodName Name of the test method
+ * @param {string} context.suiteName Name of the suite
+ * @param {Object<string, Object|Array<Object>>} [context.knownIssues] Launch-wide known issues
+ * @returns {Array<Object>} Known issues, empty if the test has none
+ */
+export function findKnownIssues(testMetadata, { methodName, suiteName, knownIssues = {} }) {
+    const keys = [testMetadata.name, `${suiteName} > ${testMetadata.name}`, methodName];
+    const fromMap = keys.filter(key => knownIssues[key]).flatMap(key => toList(knownIssues[key]));
+
+    return [...toList(testMetadata.knownIssue || []), ...fromMap];
+}
+
+/**
+ * Build the issue of a test failing because of known issues
+ * @param {Array<Object>} knownIssues Known issues with their `id`, `url`, `defectType` and optional `comment`,
+ * `btsUrl` and `btsProject`
+ * @param {Error} error Error that failed the test
+ * @param {{url: string, project: string}} [bugTracker] Default bug tracker of the known issues
+ * @returns {{issueType: string, comment: string, externalIssues: Array<Object>}} Issue with the linked tickets
+ */
+export function knownIssueDefect(knownIssues, error, bugTracker = {}) {
+    const [first] = knownIssues;
+    const ids = knownIssues.map(issue => issue.id).join(', ');
+
+    return {
+        issueType: first.defectType || DefectType.PRODUCT_BUG,
+        comment: first.comment || `Known issue ${ids}: ${error && error.message ? error.message : String(error)}`,
+        externalIssues: knownIssues.map(issue => ({
+            ticketId: issue.id,
+            url: issue.url,
+            btsUrl: issue.btsUrl || bugTracker.url,
+            btsProject: issue.btsProject || bugTracker.project
+        }))
+    };
+}
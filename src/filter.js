@@ -0,0 +1,218 @@
+/**
+ * Test filter expressions evaluated against @Test and @Suite metadata.
+ *
+ * Grammar:
+ *   expression := and ('||' and)*
+ *   and        := unary ('&&' unary)*
+ *   unary      := '!' unary | '(' expression ')' | predicate
+ *   predicate  := key ('==' value | '!=' value | ':' value | 'in' '(' value (',' value)* ')')?
+ *
+ * A key is looked up in the test metadata first and falls back to the suite metadata,
+ * `suite.<key>` reads the suite metadata only. Array values such as `features` combine
+ * test and suite metadata. Comparisons are case-insensitive, `:` checks that an array
+ * contains the value or that a string contains it as a substring, and a bare key
+ * matches when the value is present and not empty.
+ *
+ * @example
+ * const matches = parseFilter('priority in (P0,P1) && service == AUTHZ && !features:slow');
+ * matches(testMetadata, suiteMetadata); // true or false
+ */
+
+const OPERATORS = ['&&', '||', '==', '!=', '!', '(', ')', ',', ':'];
+
+/**
+ * Parses a filter expression into a predicate
+ * @param {string} expression Filter expression
+ * @returns {function(Object, Object): boolean} Predicate called with test and suite metadata
+ * @throws {Error} If the expression is not valid
+ */
+export function parseFilter(expression) {
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const fail = message => {
+        throw new Error(`Invalid test filter "${expression}": ${message}`);
+    };
+    const expect = value => {
+        const token = next();
+        if (!token || token.value !== value || token.quoted) {
+            fail(`expected "${value}" but found ${token ? `"${token.value}"` : 'end of expression'}`);
+        }
+    };
+    const isOperator = (token, value) => token && !token.quoted && token.value === value;
+    const readValue = () => {
+        const token = next();
+        if (!token || (!token.quoted && OPERATORS.includes(token.value))) {
+            fail(`expected a value but found ${token ? `"${token.value}"` : 'end of expression'}`);
+        }
+        return token.value;
+    };
+
+    function parseOr() {
+        let node = parseAnd();
+        while (isOperator(peek(), '||')) {
+            next();
+            const left = node;
+            const right = parseAnd();
+            node = (test, suite) => left(test, suite) || right(test, suite);
+        }
+        return node;
+    }
+
+    function parseAnd() {
+        let node = parseUnary();
+        while (isOperator(peek(), '&&')) {
+            next();
+            const left = node;
+            const right = parseUnary();
+            node = (test, suite) => left(test, suite) && right(test, suite);
+        }
+        return node;
+    }
+
+    function parseUnary() {
+        if (isOperator(peek(), '!')) {
+            next();
+            const operand = parseUnary();
+            return (test, suite) => !operand(test, suite);
+        }
+        if (isOperator(peek(), '(')) {
+            next();
+            const node = parseOr();
+            expect(')');
+            return node;
+        }
+        return parsePredicate();
+    }
+
+    function parsePredicate() {
+        const key = readValue();
+        const token = peek();
+
+        if (isOperator(token, '==') || isOperator(token, '!=') || isOperator(token, ':')) {
+            next();
+            const value = normalize(readValue());
+
+            if (token.value === ':') {
+                return (test, suite) => {
+                    const actual = lookup(key, test, suite);
+                    return Array.isArray(actual)
+                        ? actual.some(item => normalize(item) === value)
+                        : actual != null && normalize(actual).includes(value);
+                };
+            }
+
+            const equals = (test, suite) => toValues(lookup(key, test, suite)).includes(value);
+            return token.value === '==' ? equals : (test, suite) => !equals(test, suite);
+        }
+
+        if (token && !token.quoted && token.value.toLowerCase() === 'in') {
+            next();
+            expect('(');
+            const list = [normalize(readValue())];
+            while (isOperator(peek(), ',')) {
+                next();
+                list.push(normalize(readValue()));
+            }
+            expect(')');
+            return (test, suite) => toValues(lookup(key, test, suite)).some(value => list.includes(value));
+        }
+
+        return (test, suite) => toValues(lookup(key, test, suite)).length > 0;
+    }
+
+    if (tokens.length === 0) {
+        fail('expression is empty');
+    }
+
+    const predicate = parseOr();
+    if (position < tokens.length) {
+        fail(`unexpected "${peek().value}"`);
+    }
+
+    return (testMetadata = {}, suiteMetadata = {}) => predicate(testMetadata || {}, suiteMetadata || {});
+}
+
+/**
+ * Splits a filter expression into tokens
+ * @param {string} expression Filter expression
+ * @returns {Array<{value: string, quoted: boolean}>} Tokens
+ * @private
+ */
+function tokenize(expression) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < expression.length) {
+        const char = expression[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (char === '"' || char === '\'') {
+            const end = expression.indexOf(char, i + 1);
+            if (end === -1) {
+                throw new Error(`Invalid test filter "${expression}": unterminated string`);
+            }
+            tokens.push({ value: expression.slice(i + 1, end), quoted: true });
+            i = end + 1;
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => expression.startsWith(op, i));
+        if (operator) {
+            tokens.push({ value: operator, quoted: false });
+            i += operator.length;
+            continue;
+        }
+
+        let end = i;
+        while (end < expression.length && !/[\s"'()!,&|=:]/.test(expression[end])) {
+            end++;
+        }
+        if (end === i) {
+            throw new Error(`Invalid test filter "${expression}": unexpected "${char}"`);
+        }
+        tokens.push({ value: expression.slice(i, end), quoted: false });
+        i = end;
+    }
+
+    return tokens;
+}
+
+/**
+ * Looks up a metadata value, see the module description for the lookup rules
+ * @private
+ */
+function lookup(key, test, suite) {
+    if (key.startsWith('suite.')) {
+        return suite[key.slice('suite.'.length)];
+    }
+
+    const testValue = test[key];
+    const suiteValue = suite[key];
+    if (Array.isArray(testValue) || Array.isArray(suiteValue)) {
+        return [...toArray(testValue), ...toArray(suiteValue)];
+    }
+    return testValue !== undefined ? testValue : suiteValue;
+}
+
+/** @private */
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/** @private */
+function toValues(value) {
+    return toArray(value).filter(item => item !== '').map(normalize);
+}
+
+/** @private */
+function normalize(value) {
+    return String(value).toLowerCase();
+}
@@ -0,0 +1,287 @@
+import exec from 'k6/execution';
+import {Rate} from 'k6/metrics';
+import {DefectType, ItemType, LogLevel, Status} from './report-portal-client.js';
+
+/**
+ * Name of the k6 rate metric the quality gate verdicts are added to, 1 for a passed gate
+ * @type {string}
+ */
+export const QUALITY_GATE_METRIC = 'rp_quality_gate';
+
+/**
+ * Thresholds failing the k6 run when a quality gate fails, to spread into the k6 `options.thresholds`
+ * @type {Object<string, string[]>}
+ */
+export const QUALITY_GATE_THRESHOLDS = {
+    [QUALITY_GATE_METRIC]: ['rate==1']
+};
+
+// Custom metrics can only be created in the init context, which is when this module is loaded
+const gateMetric = new Rate(QUALITY_GATE_METRIC);
+
+/**
+ * Evaluates a quality gate on the results of a run and reports its verdict.
+ * Rules:
+ * - `noFailedPriorities`: priorities that must not have failed tests, e.g. `['P0']`
+ * - `minPassRate`: minimum percentage of passed tests among the executed ones, skipped tests are not executed
+ * - `noNewFailures`: no test failing that did not fail in the previous launch with the same name
+ * - `noToInvestigate`: no failed test left To Investigate
+ * - `crossCheck`: also check the pass rate and the items To Investigate on the launch statistics, which include
+ *   the tests reported by other VUs to a shared launch
+ *
+ * The verdict is reported as a `Quality gate` item that does not count toward the launch statistics, added to the
+ * `rp_quality_gate` metric so QUALITY_GATE_THRESHOLDS fail the run, and with `abort` a failed gate aborts the run.
+ * @param {Object|Array<Object>} results Result tree returned by `runSuites`, or a list of them
+ * @param {Object} rules Quality gate rules
+ * @param {boolean} [rules.abort=false] Abort the k6 run with `exec.test.abort` when the gate fails
+ * @param {Object} [logger] Reporter client the verdict is reported to, needed by `noNewFailures` and `crossCheck`
+ * @returns {Promise<{passed: boolean, checks: Array<{rule: string, passed: boolean, message: string}>,
+ * stats: Object}>} Gate verdict
+ */
+export async function runQualityGate(results, rules, logger) {
+    const verdict = await evaluateQualityGate(results, rules, logger);
+
+    if (logger) {
+        reportVerdict(logger, verdict);
+    }
+    gateMetric.add(verdict.passed ? 1 : 0);
+
+    const failed = verdict.checks.filter(check => !check.passed).map(check => check.message);
+    if (failed.length === 0) {
+        console.log('Quality gate passed');
+        return verdict;
+    }
+
+    console.error(`Quality gate failed: ${failed.join('; ')}`);
+    if (rules.abort) {
+        exec.test.abort(`Quality gate failed: ${failed.join('; ')}`);
+    }
+    return verdict;
+}
+
+/**
+ * Evaluates the rules of a quality gate without reporting the verdict
+ * @param {Object|Array<Object>} results Result tree returned by `runSuites`, or a list of them
+ * @param {Object} rules Quality gate rules, see runQualityGate
+ * @param {Object} [logger] Reporter client used to read the previous launch and the launch statistics
+ * @returns {Promise<{passed: boolean, checks: Array<{rule: string, passed: boolean, message: string}>,
+ * stats: Object}>} Gate verdict
+ */
+export async function evaluateQualityGate(results, rules, logger) {
+    const tests = collectTests(results);
+    const stats = countTests(tests);
+    const lookup = logger && (rules.crossCheck || rules.noNewFailures) ? await findLaunch(logger) : null;
+    const launch = lookup && lookup.launch;
+    const checks = [];
+
+    if (rules.noFailedPriorities) {
+        const priorities = [].concat(rules.noFailedPriorities).map(String);
+        const failed = tests.filter(test =>
+            isFailed(test) && priorities.includes(String(getAttribute(test, 'priority'))));
+        checks.push({
+            rule: 'noFailedPriorities',
+            passed: failed.length === 0,
+            message: failed.length === 0
+                ? `No failed ${priorities.join('/')} tests`
+                : `${failed.length} failed ${priorities.join('/')} test(s): ${failed.map(test => test.name).join(', ')}`
+        });
+    }
+
+    if (rules.minPassRate !== undefined) {
+        checks.push(checkPassRate('minPassRate', stats, rules.minPassRate, ''));
+        if (rules.crossCheck) {
+            checks.push(launch
+                ? checkPassRate('minPassRate', countLaunchTests(launch), rules.minPassRate, ' in the launch')
+                : unavailable('minPassRate', lookup));
+        }
+    }
+
+    if (rules.noNewFailures) {
+        checks.push(checkNewFailures(tests, logger, lookup));
+    }
+
+    if (rules.noToInvestigate) {
+        const pending = tests.filter(test => isFailed(test) && isToInvestigate(test));
+        checks.push({
+            rule: 'noToInvestigate',
+            passed: pending.length === 0,
+            message: pending.length === 0
+                ? 'No tests To Investigate'
+                : `${pending.length} test(s) To Investigate: ${pending.map(test => test.name).join(', ')}`
+        });
+
+        if (rules.crossCheck) {
+            const total = launch ? getToInvestigateCount(launch) : null;
+            checks.push(total === null ? unavailable('noToInvestigate', lookup) : {
+                rule: 'noToInvestigate',
+                passed: total === 0,
+                message: `${total} item(s) To Investigate in the launch`
+            });
+        }
+    }
+
+    return {passed: checks.every(check => check.passed), checks, stats};
+}
+
+/**
+ * Looks up the launch once the requests of the asynchronous reporting API are done, so it holds every reported test
+ * @private
+ */
+async function findLaunch(logger) {
+    if (logger.settle) {
+        await logger.settle();
+    }
+    return logger.findLaunch();
+}
+
+/**
+ * Lists the tests of result trees, lifecycle hooks and steps left out
+ * @private
+ */
+function collectTests(results) {
+    const roots = (Array.isArray(results) ? results : [results]).filter(Boolean).flatMap(result => result.suites);
+    const tests = [];
+    const visit = item => {
+        if (item.type === ItemType.TEST) {
+            tests.push(item);
+        } else if (item.type === ItemType.SUITE) {
+            item.children.forEach(visit);
+        }
+    };
+    roots.forEach(visit);
+    return tests;
+}
+
+/** @private */
+function countTests(tests) {
+    const count = status => tests.filter(test => test.status === status).length;
+    return {
+        total: tests.length,
+        passed: count(Status.PASSED),
+        failed: tests.filter(isFailed).length,
+        skipped: count(Status.SKIPPED)
+    };
+}
+
+/** @private */
+function countLaunchTests(launch) {
+    const executions = (launch.statistics && launch.statistics.executions) || {};
+    return {
+        total: executions.total || 0,
+        passed: executions.passed || 0,
+        failed: executions.failed || 0,
+        skipped: executions.skipped || 0
+    };
+}
+
+/** @private */
+function checkPassRate(rule, stats, minPassRate, scope) {
+    const executed = stats.total - stats.skipped;
+    if (executed === 0) {
+        return {rule, passed: false, message: `No tests were executed${scope}`};
+    }
+
+    const passRate = Math.floor((stats.passed / executed) * 10000) / 100;
+    return {
+        rule,
+        passed: passRate >= minPassRate,
+        message: `Pass rate${scope} ${passRate}% (${stats.passed}/${executed}), minimum ${minPassRate}%`
+    };
+}
+
+/**
+ * Compares the failed tests with the failed tests of the previous launch, by test case ID or by name
+ * @private
+ */
+function checkNewFailures(tests, logger, lookup) {
+    if (!lookup || !lookup.launch) {
+        return unavailable('noNewFailures', lookup);
+    }
+
+    const search = logger.findPreviousLaunch(lookup.launch);
+    const previous = search.launch;
+    if (!previous) {
+        return search.reachable
+            ? {rule: 'noNewFailures', passed: true, message: 'No previous launch to compare with'}
+            : unavailable('noNewFailures', search);
+    }
+
+    const previousFailures = logger.getFailedTests(previous.id);
+    if (!previousFailures) {
+        return unavailable('noNewFailures', {reachable: false});
+    }
+
+    const known = new Set(previousFailures.flatMap(item => [item.testCaseId, item.name].filter(Boolean)));
+    const newFailures = tests.filter(test => isFailed(test)
+        && !(test.testCaseId ? known.has(test.testCaseId) : known.has(test.name)));
+
+    return {
+        rule: 'noNewFailures',
+        passed: newFailures.length === 0,
+        message: newFailures.length === 0
+            ? `No new failures since launch #${previous.number}`
+            : `${newFailures.length} new failure(s) since launch #${previous.number}: `
+                + newFailures.map(test => test.name).join(', ')
+    };
+}
+
+/**
+ * Fails a rule that needs Report Portal, a launch it does not know yet is told apart from an outage
+ * @private
+ */
+function unavailable(rule, lookup) {
+    const reason = lookup && lookup.reachable
+        ? 'the launch is not saved in Report Portal yet'
+        : 'Report Portal did not answer';
+    return {rule, passed: false, message: `${rule} could not be checked, ${reason}`};
+}
+
+/** @private */
+function isFailed(test) {
+    return test.status === Status.FAILED || test.status === Status.INTERRUPTED;
+}
+
+/** @private */
+function isToInvestigate(test) {
+    const issueType = test.issue ? String(test.issue.issueType).toUpperCase() : DefectType.TO_INVESTIGATE;
+    return issueType === DefectType.TO_INVESTIGATE || issueType.startsWith('TI');
+}
+
+/** @private */
+function getToInvestigateCount(launch) {
+    const defects = (launch.statistics && launch.statistics.defects) || {};
+    return defects.to_investigate ? defects.to_investigate.total || 0 : 0;
+}
+
+/**
+ * Reads an attribute of a result item, given as an object or as a list of {key, value}
+ * @private
+ */
+function getAttribute(item, key) {
+    if (Array.isArray(item.attributes)) {
+        const attribute = item.attributes.find(candidate => candidate.key === key);
+        return attribute ? attribute.value : undefined;
+    }
+    return item.attributes ? item.attributes[key] : undefined;
+}
+
+/**
+ * Reports the verdict as an item that does not count toward the launch statistics
+ * @private
+ */
+function reportVerdict(logger, verdict) {
+    const {total, passed, failed, skipped} = verdict.stats;
+    const itemId = logger.startItem({
+        name: 'Quality gate',
+        type: ItemType.TEST,
+        description: `${total} tests: ${passed} passed, ${failed} failed, ${skipped} skipped`,
+        hasStats: false,
+        testCaseId: 'k6.qualityGate'
+    });
+
+    for (const check of verdict.checks) {
+        logger.log(itemId, `${check.passed ? 'PASSED' : 'FAILED'} ${check.rule}: ${check.message}`,
+            check.passed ? LogLevel.INFO : LogLevel.ERROR);
+    }
+    logger.finishItem(itemId, verdict.passed ? Status.PASSED : Status.FAILED);
+}
@@ -6,3 +6,37 @@ export function createHeaders(token) {
         },
     };
 }
+
+
+/**
+ * Reads a k6 environment variable, safe to call where `__ENV` is not defined
+ * @param {string} name Variable name
+ * @returns {string|undefined} Variable value
+ */
+export function getEnv(name) {
+    return typeof __ENV !== 'undefined' ? __ENV[name] : undefined;
+}
+
+/**
+ * Converts a k6 style duration to milliseconds
+ * @param {string|number} duration Duration such as '500ms', '1s', '1m30s' or a number of milliseconds
+ * @returns {number} Duration in milliseconds
+ */
+export function parseDuration(duration) {
+    if (typeof duration === 'number') return duration;
+
+    const text = String(duration).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+    if (!/^(\d+(\.\d+)?(ms|s|m|h))+$/.test(text)) {
+        throw new Error(`Invalid duration "${duration}"`);
+    }
+
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+    const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h)/g;
+    let total = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        total += Number(match[1]) * units[match[2]];
+    }
+    return total;
+}
@@ -0,0 +1,167 @@
+import http from 'k6/http';
+
+/**
+ * When request and response bodies are attached:
+ * 'always', 'failure' for network errors and 4xx/5xx statuses,
+ * 'unexpected' for statuses outside the expected ones, or 'never'
+ */
+export const HttpCapture = {
+    ALWAYS: 'always',
+    FAILURE: 'failure',
+    UNEXPECTED: 'unexpected',
+    NEVER: 'never'
+};
+
+const DEFAULT_EXPECTED_STATUSES = [{ min: 200, max: 399 }];
+const DEFAULT_MAX_BODY_LENGTH = 10000;
+
+/**
+ * Create the `http` helper of the test context, a k6/http wrapper logging every call under the given item.
+ * Each call is logged with its method, URL, status and duration, request and response bodies are attached
+ * depending on the capture mode, and requests are tagged with the test name.
+ * @param {string} parentId ID of the test or step the calls are logged under
+ * @param {Object} logger Reporter client
+ * @param {Object} options Capture options
+ * @param {string} options.testName Name of the test, added to the requests as the `test` tag
+ * @param {string} [options.capture='failure'] Capture mode from HttpCapture
+ * @param {Array<number|{min: number, max: number}>} [options.expectedStatuses] Expected statuses for the
+ * 'unexpected' mode, 200 to 399 by default
+ * @param {number} [options.maxBodyLength=10000] Bodies are truncated to this number of characters
+ * @param {function(Object)} [options.onResponse] Called with every response
+ * @returns {Object} HTTP helper with the k6/http request methods
+ */
+export function createHttpClient(parentId, logger, options) {
+    const capture = options.capture || HttpCapture.FAILURE;
+    const expectedStatuses = options.expectedStatuses || DEFAULT_EXPECTED_STATUSES;
+    const maxBodyLength = options.maxBodyLength || DEFAULT_MAX_BODY_LENGTH;
+
+    if (!Object.values(HttpCapture).includes(capture)) {
+        throw new Error(
+            `Invalid HTTP capture mode "${capture}", expected one of ${Object.values(HttpCapture).join(', ')}`);
+    }
+
+    const tag = params => ({ ...params, tags: { ...(params && params.tags), test: options.testName } });
+
+    function report(method, url, body, response) {
+        if (options.onResponse) options.onResponse(response);
+
+        const expected = isExpectedStatus(response.status, expectedStatuses);
+        const duration = response.timings ? Math.round(response.timings.duration) : 0;
+        const message = `${method} ${url} -> ${response.status || response.error || 'no response'} (${duration}ms)`;
+
+        if (expected) {
+            logger.info(parentId, message);
+        } else {
+            logger.warn(parentId, message);
+        }
+
+        const failed = response.status === 0 || response.status >= 400;
+        const attach = capture === HttpCapture.ALWAYS
+            || (capture === HttpCapture.FAILURE && failed)
+            || (capture === HttpCapture.UNEXPECTED && !expected);
+
+        if (attach) {
+            attachBody(`Request body: ${method} ${url}`, 'request', body);
+            attachBody(`Response body: ${method} ${url}`, 'response', response.body);
+        }
+        return response;
+    }
+
+    function attachBody(message, name, body) {
+        const text = formatBody(body);
+        if (!text) return;
+
+        if (text.length > maxBodyLength) {
+            const truncated = `${text.slice(0, maxBodyLength)}\n... (truncated from ${text.length} characters)`;
+            logger.attachment(parentId, truncated, `${name}.txt`, 'text/plain', message);
+            return;
+        }
+
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (e) {
+            logger.attachment(parentId, text, `${name}.txt`, 'text/plain', message);
+            return;
+        }
+        logger.json(parentId, json, `${name}.json`, message);
+    }
+
+    function request(method, url, body, params) {
+        return report(method, url, body, http.request(method, url, body, tag(params)));
+    }
+
+    return {
+        get: (url, params) => report('GET', url, null, http.get(url, tag(params))),
+        head: (url, params) => report('HEAD', url, null, http.head(url, tag(params))),
+        post: (url, body, params) => report('POST', url, body, http.post(url, body, tag(params))),
+        put: (url, body, params) => report('PUT', url, body, http.put(url, body, tag(params))),
+        patch: (url, body, params) => report('PATCH', url, body, http.patch(url, body, tag(params))),
+        del: (url, body, params) => report('DELETE', url, body, http.del(url, body, tag(params))),
+        options: (url, body, params) => report('OPTIONS', url, body, http.options(url, body, tag(params))),
+        request,
+
+        /**
+         * Sends requests in parallel like `http.batch`, requests as arrays, objects or URL strings
+         * @param {Array|Object} requests Requests by index or name
+         * @returns {Array|Object} Responses by index or name
+         */
+        batch(requests) {
+            const normalized = {};
+            Object.entries(requests).forEach(([key, value]) => {
+                normalized[key] = normalizeBatchRequest(value);
+            });
+
+            const tagged = Array.isArray(requests) ? [] : {};
+            Object.entries(normalized).forEach(([key, value]) => {
+                tagged[key] = { ...value, params: tag(value.params) };
+            });
+
+            const responses = http.batch(tagged);
+            Object.entries(normalized).forEach(([key, value]) => {
+                report(value.method, value.url, value.body, responses[key]);
+            });
+            return responses;
+        }
+    };
+}
+
+/**
+ * Convert a k6 batch request to its object form
+ * @private
+ */
+function normalizeBatchRequest(request) {
+    if (typeof request === 'string') {
+        return { method: 'GET', url: request };
+    }
+    if (Array.isArray(request)) {
+        const [method, url, body, params] = request;
+        return { method: method.toUpperCase(), url, body, params };
+    }
+    return { ...request, method: (request.method || 'GET').toUpperCase() };
+}
+
+/**
+ * Check a status against expected statuses, given as numbers or {min, max} ranges
+ * @private
+ */
+function isExpectedStatus(status, expectedStatuses) {
+    return expectedStatuses.some(expected => (typeof expected === 'number'
+        ? status === expected
+        : status >= expected.min && status <= expected.max));
+}
+
+/**
+ * Convert a request or response body to text
+ * @private
+ */
+function formatBody(body) {
+    if (body === null || body === undefined || body === '') return '';
+    if (typeof body === 'string') return body;
+    if (body instanceof ArrayBuffer) return `<${body.byteLength} bytes of binary data>`;
+    try {
+        return JSON.stringify(body);
+    } catch (e) {
+        return String(body);
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * Get the identity of a suite, used by Report Portal to track its history across launches.
+ * The code reference is the suite class name, falling back to the suite name when the class is anonymous.
+ * The test case ID is the `id` of the @Suite decorator, or the code reference.
+ * @param {Object} testSuite The test suite object
+ * @param {string} suiteName Name of the test suite
+ * @param {Object} suiteMetadata Metadata from the @Suite decorator
+ * @returns {{codeRef: string, testCaseId: string, uniqueId: string}} Suite identity
+ */
+export function getSuiteIdentity(testSuite, suiteName, suiteMetadata) {
+    const className = testSuite.constructor && testSuite.constructor.name;
+    const codeRef = className && className !== 'Object' ? className : suiteName;
+    const testCaseId = suiteMetadata.id ? String(suiteMetadata.id) : codeRef;
+
+    return { codeRef, testCaseId, uniqueId: testCaseId };
+}
+
+/**
+ * Get the identity of a suite member, a test or a lifecycle hook.
+ * The code reference is `SuiteClass.methodName`. The test case ID is the one given by the member, or the suite
+ * test case ID followed by the method name, so renaming a suite that has an `id` keeps the history of its tests.
+ * Parameterized test cases get the ID of their row appended, e.g. `Policies.testCreate[gold]`, or their 1-based row
+ * number without one, e.g. `Policies.testCreate[2]`. Other row values are left out, they may hold secrets and exceed
+ * the length Report Portal accepts.
+ * @param {{codeRef: string, testCaseId: string}} parentIdentity Identity of the suite or of the test
+ * @param {string} methodName Name of the method
+ * @param {Object} [options] Identity options
+ * @param {string} [options.testCaseId] Test case ID from the @Test decorator
+ * @param {string|number} [options.caseId] ID of the row of a parameterized test case
+ * @param {number} [options.index] 0-based row index of a parameterized test case, used without `caseId`
+ * @returns {{codeRef: string, testCaseId: string, uniqueId: string}} Item identity
+ */
+export function getMemberIdentity(parentIdentity, methodName, options = {}) {
+    const codeRef = `${parentIdentity.codeRef}.${methodName}`;
+    let testCaseId = options.testCaseId ? String(options.testCaseId) : `${parentIdentity.testCaseId}.${methodName}`;
+
+    if (options.caseId !== undefined) {
+        testCaseId += `[${options.caseId}]`;
+    } else if (options.index !== undefined) {
+        testCaseId += `[${options.index + 1}]`;
+    }
+    return { codeRef, testCaseId, uniqueId: testCaseId };
+}
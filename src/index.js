@@ -1,7 +1,31 @@
+import {sleep} from 'k6';
+import {DefectType, ItemType, Status} from './report-portal-client.js';
+import {parseFilter} from './filter.js';
+import {getDependencies, orderTests, parseTestOrder} from './order.js';
+import {getEnv, parseDuration} from './helpers.js';
+import {createResultCollector} from './results.js';
+import {CheckFailedError, createCheckRunner, setActiveCheck} from './checks.js';
+import {createHttpClient} from './http.js';
+import {classifyDefect, DEFAULT_DEFECT_RULES, findKnownIssues, knownIssueDefect} from './defects.js';
+import {getMemberIdentity, getSuiteIdentity} from './identity.js';
+import {runQualityGate} from './gate.js';
+
 /**
  * Runs the enabled test suites with the provided configuration
  * @param {Object} data Configuration object from k6 setup
- * @returns {Promise<void>}
+ * @param {string} [data.testFilter] Filter expression selecting the tests to run, defaults to `TEST_FILTER`
+ * @param {string} [data.filterMode='exclude'] What to do with filtered out tests: 'exclude' leaves them out,
+ * 'skip' reports them as skipped. Defaults to `TEST_FILTER_MODE`
+ * @param {boolean} [data.dryRun=false] Only list the selected tests without running them, defaults to `TEST_DRY_RUN`
+ * @param {string} [data.testOrder='declaration'] Test order, 'declaration', 'random' or 'random:<seed>',
+ * defaults to `TEST_ORDER`
+ * @param {boolean} [data.continueOnSuiteFailure=false] Run the suites after a failed suite instead of reporting them
+ * as skipped, defaults to `CONTINUE_ON_SUITE_FAILURE`
+ * @param {Object} [data.qualityGate] Quality gate rules evaluated on the results once the suites ran,
+ * see runQualityGate
+ * @returns {Promise<Object|Array<Object>>} Result tree, or the selected tests when running in dry-run mode.
+ * When a suite fails, the suites after it are reported as skipped unless `continueOnSuiteFailure` is set,
+ * and the error of the first failed suite is thrown carrying the result tree as `results`
  */
 export async function runTestSuites(data) {
     const {
@@ -10,17 +34,150 @@ export async function runTestSuites(data) {
         enabledSuites
     } = data;
 
+    const testSelection = createTestSelection(data);
+    if (testSelection.dryRun) {
+        return listSelectedTests(testSuites, enabledSuites, { ...data, testSelection });
+    }
+
     if (!logger) {
         throw new Error('Reporter client not initialized');
     }
 
-    // Use existing logger for test execution
+    // Use existing logger for test execution, observed to collect the results
+    const collector = createResultCollector();
+    const observedLogger = collector.observe(logger);
+
+    const config = { ...data, logger: observedLogger, testSelection };
+    const continueOnSuiteFailure = data.continueOnSuiteFailure !== undefined
+        ? Boolean(data.continueOnSuiteFailure)
+        : getEnv('CONTINUE_ON_SUITE_FAILURE') === 'true';
+    let suiteError = null;
+    let failedSuite = null;
+
     for (const suiteName of enabledSuites) {
         const testSuite = testSuites[suiteName];
         if (!testSuite) continue;
 
-        await runSuite(testSuite, suiteName, { ...data, logger });
+        // Suites after a failed one are not run, they are still reported so reports show every enabled suite
+        if (suiteError && !continueOnSuiteFailure) {
+            skipSuite(testSuite, suiteName, `Not run, suite "${failedSuite}" failed: ${suiteError.message}`, config);
+            continue;
+        }
+
+        try {
+            await runSuite(testSuite, suiteName, config);
+        } catch (error) {
+            if (!suiteError) {
+                suiteError = error;
+                failedSuite = getSuiteMetadata(testSuite, suiteName).name;
+            }
+        }
+    }
+
+    if (suiteError) {
+        suiteError.results = collector.getResults();
+        if (data.qualityGate) {
+            await runQualityGate(suiteError.results, data.qualityGate, logger);
+        }
+        throw suiteError;
+    }
+
+    const results = collector.getResults();
+    if (data.qualityGate) {
+        await runQualityGate(results, data.qualityGate, logger);
+    }
+    return results;
+}
+
+/**
+ * Build the test selection from the filter options of the configuration or the environment
+ * @param {Object} config Configuration object from k6 setup
+ * @returns {{expression: string|undefined, matches: Function, mode: string, dryRun: boolean, order: Object}}
+ * Test selection
+ */
+function createTestSelection(config) {
+    const expression = config.testFilter || getEnv('TEST_FILTER');
+    const mode = config.filterMode || getEnv('TEST_FILTER_MODE') || 'exclude';
+    const dryRun = config.dryRun !== undefined ? Boolean(config.dryRun) : getEnv('TEST_DRY_RUN') === 'true';
+    const order = parseTestOrder(config.testOrder || getEnv('TEST_ORDER'));
+
+    if (mode !== 'exclude' && mode !== 'skip') {
+        throw new Error(`Invalid filter mode "${mode}", expected "exclude" or "skip"`);
+    }
+
+    if (order.random) {
+        console.log(`Running tests in random order, reproduce with TEST_ORDER=random:${order.seed}`);
+    }
+
+    return {
+        expression,
+        matches: expression ? parseFilter(expression) : () => true,
+        mode,
+        dryRun,
+        order
+    };
+}
+
+/**
+ * Split the tests of a suite into the ones matching the test selection and the filtered out ones
+ * @param {Object} testSuite The test suite object
+ * @param {Object} suiteMetadata Metadata from the @Suite decorator
+ * @param {Object} testSelection Test selection built by createTestSelection
+ * @returns {{selected: string[], filtered: string[]}} Test method names, selected ones in run order
+ */
+function selectTests(testSuite, suiteMetadata, testSelection) {
+    const selected = [];
+    const filtered = [];
+
+    for (const methodName of findTestMethods(testSuite)) {
+        const testMetadata = testSuite[methodName].testMetadata;
+        if (testSelection.matches(testMetadata, suiteMetadata)) {
+            selected.push(methodName);
+        } else {
+            filtered.push(methodName);
+        }
     }
+
+    return {
+        selected: orderTests(selected, methodName => testSuite[methodName].testMetadata, testSelection.order),
+        filtered
+    };
+}
+
+/**
+ * Print the tests selected to run without running them, parameterized tests are listed once per test case
+ * @param {Object} testSuites Test suites by name
+ * @param {string[]} enabledSuites Names of the enabled suites
+ * @param {Object} config Configuration for the tests, with the test selection built by createTestSelection
+ * @returns {Array<{suite: string, test: string, method: string, parameters: Object}>} Selected tests
+ */
+function listSelectedTests(testSuites, enabledSuites, config) {
+    const selectedTests = [];
+
+    for (const suiteName of enabledSuites) {
+        const testSuite = testSuites[suiteName];
+        if (!testSuite) continue;
+
+        const suiteMetadata = getSuiteMetadata(testSuite, suiteName);
+        const testMethods = selectTests(testSuite, suiteMetadata, config.testSelection).selected;
+        for (const test of testMethods.flatMap(methodName => getTestInstances(testSuite, methodName, config))) {
+            const name = test.testMetadata.name;
+            if (test.error) {
+                console.warn(`[dry-run] ${suiteMetadata.name} > ${name}: ${test.error.message}`);
+            } else {
+                console.log(`[dry-run] ${suiteMetadata.name} > ${name}`);
+            }
+            selectedTests.push({
+                suite: suiteMetadata.name,
+                test: name,
+                method: test.methodName,
+                parameters: test.parameters
+            });
+        }
+    }
+
+    console.log(`[dry-run] ${selectedTests.length} test(s) selected`);
+    return selectedTests;
 }
 
 /**
@@ -31,25 +188,34 @@ export async function runTestSuites(data) {
  * @returns {Promise<void>}
  */
 async function runSuite(testSuite, suiteName, config) {
-    const suiteMetadata = testSuite._suiteMetadata || {
-        name: suiteName,
-        description: `Test suite for ${suiteName}`,
-        features: []
-    };
+    const suiteMetadata = getSuiteMetadata(testSuite, suiteName);
+    const { selected, filtered } = selectTests(testSuite, suiteMetadata, config.testSelection);
+
+    if (selected.length === 0 && filtered.length > 0 && config.testSelection.mode === 'exclude') {
+        console.log("Skipping suite, no tests match the filter: ", suiteMetadata.name);
+        return;
+    }
 
     console.log("Starting suite: ", suiteMetadata.name);
-    const suiteId = config.logger.startSuite(
-        suiteMetadata.name,
-        suiteMetadata.description,
-        { features: suiteMetadata.features }
-    );
+    const suiteConfig = startSuiteItem(testSuite, suiteName, suiteMetadata, config);
+    const suiteId = suiteConfig.testId;
+
+    if (filtered.length > 0 && config.testSelection.mode === 'skip') {
+        skipTests(testSuite, filtered, `Filtered out by "${config.testSelection.expression}"`,
+            DefectType.NO_DEFECT, suiteConfig);
+
+        if (selected.length === 0) {
+            config.logger.finishSuite(suiteId, Status.SKIPPED);
+            return;
+        }
+    }
 
     let suiteError = null;
     let setupSuccess = true;
     let setupResult = null;
 
     try {
-        setupResult = await runSuiteSetup(testSuite, { ...config, testId: suiteId });
+        setupResult = await runSuiteSetup(testSuite, suiteConfig);
     } catch (error) {
         setupSuccess = false;
         suiteError = error;
@@ -58,21 +224,27 @@ async function runSuite(testSuite, suiteName, config) {
 
     if (setupSuccess) {
         try {
-            await runTests(testSuite, setupResult, { ...config, testId: suiteId });
+            await runTests(testSuite, selected, setupResult, suiteConfig);
         } catch (error) {
             if (!suiteError) suiteError = error;
             config.logger.error(suiteId, `Tests execution failed: ${error.message}`);
         }
+    } else {
+        skipTests(testSuite, selected, `Suite setup failed: ${suiteError.message}`, DefectType.TO_INVESTIGATE,
+            suiteConfig);
     }
 
     try {
-        await runSuiteTeardown(testSuite, setupResult, { ...config, testId: suiteId });
+        await runSuiteTeardown(testSuite, setupResult, suiteConfig);
     } catch (error) {
         if (!suiteError) suiteError = error;
         config.logger.error(suiteId, `Suite teardown failed: ${error.message}`);
     }
 
-    if (suiteError) {
+    // Only the suite deadline interrupts the suite, a test timing out just fails it
+    if (suiteError && isSuiteTimedOut(suiteConfig)) {
+        config.logger.finishSuite(suiteId, Status.INTERRUPTED);
+    } else if (suiteError) {
         config.logger.finishSuite(suiteId, 'failed');
     } else {
         config.logger.info(suiteId, `Suite completed successfully: ${suiteMetadata.name}`);
@@ -85,6 +257,68 @@ async function runSuite(testSuite, suiteName, config) {
     }
 }
 
+/**
+ * Start the Report Portal item of a suite
+ * @param {Object} testSuite The test suite object
+ * @param {string} suiteName Name of the test suite
+ * @param {Object} suiteMetadata Metadata from the @Suite decorator
+ * @param {Object} config Configuration for the test run
+ * @returns {Object} Configuration for the tests of the suite, `testId` is the suite item
+ */
+function startSuiteItem(testSuite, suiteName, suiteMetadata, config) {
+    const suiteIdentity = getSuiteIdentity(testSuite, suiteName, suiteMetadata);
+    const suiteId = config.logger.startSuite(
+        suiteMetadata.name,
+        suiteMetadata.description,
+        { features: suiteMetadata.features },
+        suiteIdentity
+    );
+    const suiteTimeout = parseDuration(
+        pickOption('timeout', suiteMetadata, config, 'suiteTimeout', 'SUITE_TIMEOUT') || 0
+    );
+
+    return {
+        ...config,
+        testId: suiteId,
+        suiteMetadata,
+        suiteIdentity,
+        suiteDeadline: suiteTimeout ? Date.now() + suiteTimeout : null
+    };
+}
+
+/**
+ * Report a suite that was not run as skipped, with its selected tests
+ * @param {Object} testSuite The test suite object
+ * @param {string} suiteName Name of the test suite
+ * @param {string} reason Why the suite was not run
+ * @param {Object} config Configuration for the test run
+ */
+function skipSuite(testSuite, suiteName, reason, config) {
+    const suiteMetadata = getSuiteMetadata(testSuite, suiteName);
+    const { selected } = selectTests(testSuite, suiteMetadata, config.testSelection);
+    if (selected.length === 0) return;
+
+    console.log("Skipping suite: ", suiteMetadata.name);
+    const suiteConfig = startSuiteItem(testSuite, suiteName, suiteMetadata, config);
+    config.logger.warn(suiteConfig.testId, `Suite skipped: ${reason}`);
+    skipTests(testSuite, selected, reason, DefectType.NO_DEFECT, suiteConfig);
+    config.logger.finishSuite(suiteConfig.testId, Status.SKIPPED);
+}
+
+/**
+ * Get the metadata of a test suite, with defaults when it has no @Suite decorator
+ * @param {Object} testSuite The test suite object
+ * @param {string} suiteName Name of the test suite
+ * @returns {Object} Suite metadata
+ */
+function getSuiteMetadata(testSuite, suiteName) {
+    return testSuite._suiteMetadata || {
+        name: suiteName,
+        description: `Test suite for ${suiteName}`,
+        features: []
+    };
+}
+
 /**
  * Run setup method for a test suite if it exists
  * @param {Object} testSuite The test suite object
@@ -92,18 +326,12 @@ async function runSuite(testSuite, suiteName, config) {
  * @returns {Promise<{}>}
  */
 async function runSuiteSetup(testSuite, config) {
-    const setupMethod = Object.getOwnPropertyNames(Object.getPrototypeOf(testSuite))
-        .find(method => testSuite[method].isSetup);
+    const setupMethod = findLifecycleMethod(testSuite, 'isSetup');
 
     if (setupMethod) {
-        try {
-            config.logger.info(config.testId, 'Starting suite setup');
-            const setupResult = await Promise.resolve(testSuite[setupMethod](config));
-            config.logger.success(config.testId, 'Suite setup completed');
-            return setupResult; // Return the setup result
-        } catch (error) {
-            throw error;
-        }
+        return runHook(ItemType.BEFORE_CLASS, 'Suite setup', config,
+            hookConfig => testSuite[setupMethod](hookConfig), getRemainingSuiteTime(config),
+            getMemberIdentity(config.suiteIdentity, setupMethod));
     }
     return {}; // Return empty object if no setup method exists
 }
@@ -111,55 +339,703 @@ async function runSuiteSetup(testSuite, config) {
 /**
  * Run tests in a test suite
  * @param {Object} testSuite The test suite object
+ * @param {string[]} testMethods Names of the test methods to run
  * @param setupResult The result of the setup method
  * @param {Object} config Configuration for the tests
  * @returns {Promise<void>}
  */
-async function runTests(testSuite, setupResult, config) {
-    const testMethods = Object.getOwnPropertyNames(Object.getPrototypeOf(testSuite))
-        .filter(method => {
-            const fn = testSuite[method];
-            return typeof fn === 'function' && fn.testMetadata;
-        });
+async function runTests(testSuite, testMethods, setupResult, config) {
+    const hooks = {
+        beforeEach: findLifecycleMethod(testSuite, 'isBeforeEach'),
+        afterEach: findLifecycleMethod(testSuite, 'isAfterEach')
+    };
 
-    let hasFailedTests = false;
+    const tests = testMethods.flatMap(methodName => getTestInstances(testSuite, methodName, config));
+    const statuses = {};
     let firstError = null;
 
-    for (const methodName of testMethods) {
-        const testMethod = testSuite[methodName];
-        const testMetadata = testMethod.testMetadata;
-        const testId = config.logger.startTest(
-            testMetadata.name,
-            testMetadata.description,
-            {
-                priority: testMetadata.priority,
-                features: testMetadata.features,
-                service: testMetadata.service
-            },
-            config.testId
+    for (let i = 0; i < tests.length; i++) {
+        const test = tests[i];
+
+        if (isSuiteTimedOut(config)) {
+            const error = new TimeoutError('Suite timed out');
+            skipTestInstances(tests.slice(i), error.message, DefectType.TO_INVESTIGATE, config);
+            if (!firstError) firstError = error;
+            break;
+        }
+
+        const blockedReason = findFailedDependency(test.testMetadata, statuses);
+        if (blockedReason) {
+            skipTestInstances([test], blockedReason, DefectType.NO_DEFECT, config);
+            recordTestStatus(statuses, test.methodName, Status.SKIPPED);
+            continue;
+        }
+
+        const { status, error } = await runTest(testSuite, test, setupResult, hooks, config);
+        recordTestStatus(statuses, test.methodName, status);
+        if (error && !firstError) firstError = error;
+    }
+
+    if (firstError) {
+        throw firstError;
+    }
+}
+
+/**
+ * Find the first dependency of a test that did not pass
+ * @param {Object} testMetadata Metadata from the @Test decorator
+ * @param {Object<string, string>} statuses Status of the test methods run so far
+ * @returns {string|null} Why the test cannot run, null if all its dependencies passed
+ */
+function findFailedDependency(testMetadata, statuses) {
+    for (const dependency of getDependencies(testMetadata)) {
+        const status = statuses[dependency];
+
+        if (status === undefined) return `Dependency not run: ${dependency}`;
+        if (status === Status.SKIPPED) return `Dependency skipped: ${dependency}`;
+        if (status !== Status.PASSED) return `Dependency failed: ${dependency}`;
+    }
+    return null;
+}
+
+/**
+ * Record the status of a test method, a parameterized test keeps the status of its first case that did not pass
+ * @param {Object<string, string>} statuses Status of the test methods run so far
+ * @param {string} methodName Name of the test method
+ * @param {string} status Status of the test or test case
+ */
+function recordTestStatus(statuses, methodName, status) {
+    if (statuses[methodName] === undefined || statuses[methodName] === Status.PASSED) {
+        statuses[methodName] = status;
+    }
+}
+
+/**
+ * Run a single test together with its per-test hooks and report the outcome.
+ * A failed test is run again up to `retries` times, every attempt is reported as a retry of the previous one.
+ * @param {Object} testSuite The test suite object
+ * @param {Object} test Test instance from getTestInstances
+ * @param setupResult The result of the setup method
+ * @param {{beforeEach: string|undefined, afterEach: string|undefined}} hooks Per-test hook method names
+ * @param {Object} config Configuration for the tests
+ * @returns {Promise<{status: string, error: Error|null}>} Final status and the error that failed the test
+ */
+async function runTest(testSuite, test, setupResult, hooks, config) {
+    const testMetadata = test.testMetadata;
+    const retryPolicy = getRetryPolicy(testMetadata, config);
+
+    let attempt = 1;
+    let outcome = await runTestAttempt(testSuite, test, setupResult, hooks, { ...config, attempt }, {});
+
+    while (outcome.error && attempt <= retryPolicy.retries && !isSuiteTimedOut(config)
+        && retryPolicy.retryOn(outcome.error, testMetadata)) {
+        config.logger.warn(outcome.testId,
+            `Attempt ${attempt} failed, retrying in ${retryPolicy.retryDelay}ms: ${outcome.error.message}`);
+        finishTestAttempt(outcome, test, config);
+
+        if (retryPolicy.retryDelay > 0) {
+            sleep(retryPolicy.retryDelay / 1000);
+        }
+
+        attempt++;
+        outcome = await runTestAttempt(testSuite, test, setupResult, hooks, { ...config, attempt },
+            { retry: true, retryOf: outcome.testId });
+    }
+
+    if (attempt > 1) {
+        config.logger.info(outcome.testId, `Test ${outcome.status.toLowerCase()} after ${attempt} attempts`);
+    }
+    finishTestAttempt(outcome, test, config);
+
+    return { status: outcome.status, error: outcome.error };
+}
+
+/**
+ * Run one attempt of a test with its per-test hooks, without finishing the test item
+ * @param {Object} testSuite The test suite object
+ * @param {Object} test Test instance from getTestInstances
+ * @param setupResult The result of the setup method
+ * @param {{beforeEach: string|undefined, afterEach: string|undefined}} hooks Per-test hook method names
+ * @param {Object} config Configuration for the tests
+ * @param {Object} itemOptions Extra options for starting the test item, e.g. `retry` and `retryOf`
+ * @returns {Promise<Object>} Attempt outcome with the test item ID, status, error and skip reason
+ */
+async function runTestAttempt(testSuite, test, setupResult, hooks, config, itemOptions) {
+    const testMethod = testSuite[test.methodName];
+    const { testMetadata, testCase } = test;
+    const testId = startTestItem(test, config, itemOptions);
+
+    if (test.error) {
+        config.logger.error(testId, `Test failed: ${test.error.message}`);
+        return { testId, status: Status.FAILED, error: test.error };
+    }
+
+    let skipReason;
+    try {
+        skipReason = resolveSkipReason(testMethod, config);
+    } catch (error) {
+        config.logger.error(testId, `Test failed: skip condition threw: ${error.message}`);
+        return { testId, status: Status.FAILED, error };
+    }
+
+    if (skipReason) {
+        return { testId, status: Status.SKIPPED, error: null, skipReason, issueType: DefectType.NO_DEFECT };
+    }
+
+    let testData;
+    if (hooks.beforeEach) {
+        try {
+            testData = await runHook(ItemType.BEFORE_METHOD, `Before: ${testMetadata.name}`,
+                { ...config, testMetadata, testCase },
+                hookConfig => testSuite[hooks.beforeEach](setupResult, hookConfig),
+                getRemainingSuiteTime(config), getTestHookIdentity(test, hooks.beforeEach, config));
+        } catch (error) {
+            return {
+                testId,
+                status: Status.SKIPPED,
+                error,
+                skipReason: `beforeEach hook failed: ${error.message}`,
+                issueType: DefectType.TO_INVESTIGATE
+            };
+        }
+    }
+
+    const testTimeout = parseDuration(pickOption('timeout', testMetadata, config, 'testTimeout', 'TEST_TIMEOUT') || 0);
+    const testContext = { ...config, testId, testMetadata, testCase, testData, skip: skipTest };
+    const openSteps = new Set();
+    const checkFailures = [];
+    let lastResponse = null;
+    const bindHelpers = (itemId, failureLists = [checkFailures]) => ({
+        check: createCheckRunner(itemId, config.logger, failureLists),
+        http: createHttpClient(itemId, config.logger, {
+            ...getHttpOptions(testMetadata, config),
+            onResponse: response => {
+                lastResponse = response;
+            }
+        })
+    });
+
+    let testError = null;
+    const previousCheck = setActiveCheck(null);
+    try {
+        Object.assign(testContext, bindHelpers(testId));
+        testContext.step = createStepRunner(testId, testContext, openSteps, bindHelpers, [checkFailures]);
+        setActiveCheck(testContext.check);
+
+        config.logger.info(testId, `Starting test: ${testMetadata.name}`);
+        await runWithTimeout(
+            () => testMethod.call(testSuite, setupResult, testContext),
+            shortestTimeout(testTimeout, getRemainingSuiteTime(config)),
+            'Test timed out'
         );
 
+        // Failed checks that were not fatal fail the test once its body completed
+        if (checkFailures.length > 0) {
+            throw new CheckFailedError(checkFailures);
+        }
+        config.logger.success(testId, `Test completed: ${testMetadata.name}`);
+    } catch (error) {
+        if (error instanceof SkipTestError) {
+            skipReason = error.message;
+        } else if (error instanceof TimeoutError) {
+            testError = error;
+            config.logger.error(testId, `Test interrupted: ${error.message}`);
+            for (const stepId of openSteps) {
+                config.logger.finishItem(stepId, Status.INTERRUPTED);
+            }
+        } else {
+            testError = error;
+            config.logger.error(testId, `Test failed: ${error.message}`);
+        }
+    } finally {
+        setActiveCheck(previousCheck);
+    }
+
+    if (hooks.afterEach) {
         try {
-            config.logger.info(testId, `Starting test: ${testMetadata.name}`);
-            const result = testMethod.call(testSuite, setupResult, { ...config, testId });
-            if (result && typeof result.then === 'function') {
-                await result;
+            await runHook(ItemType.AFTER_METHOD, `After: ${testMetadata.name}`,
+                { ...config, testMetadata, testCase, testData, testError },
+                hookConfig => testSuite[hooks.afterEach](setupResult, hookConfig),
+                getRemainingSuiteTime(config), getTestHookIdentity(test, hooks.afterEach, config));
+        } catch (error) {
+            if (!testError) testError = error;
+            config.logger.error(testId, `Test failed: afterEach hook failed: ${error.message}`);
+        }
+    }
+
+    if (testError) {
+        const status = testError instanceof TimeoutError ? Status.INTERRUPTED : Status.FAILED;
+        return { testId, status, error: testError, response: lastResponse };
+    }
+
+    if (skipReason) {
+        return { testId, status: Status.SKIPPED, error: null, skipReason, issueType: DefectType.NO_DEFECT };
+    }
+
+    return { testId, status: Status.PASSED, error: null };
+}
+
+/**
+ * Finish the test item of an attempt with its status. A failed test is linked to its known issues if it has any,
+ * otherwise it gets the defect type its error is classified as
+ * @param {Object} outcome Attempt outcome from runTestAttempt
+ * @param {Object} test Test instance from getTestInstances
+ * @param {Object} config Configuration for the tests
+ */
+function finishTestAttempt(outcome, test, config) {
+    const testMetadata = test.testMetadata;
+
+    if (outcome.skipReason) {
+        finishSkippedTest(outcome.testId, outcome.skipReason, outcome.issueType, config);
+    } else if (outcome.error) {
+        const knownIssues = findKnownIssues(testMetadata, {
+            methodName: test.methodName,
+            suiteName: config.suiteMetadata.name,
+            knownIssues: config.knownIssues
+        });
+        const rules = [...(testMetadata.defectRules || []), ...(config.defectRules || []), ...DEFAULT_DEFECT_RULES];
+        const issue = knownIssues.length > 0
+            ? knownIssueDefect(knownIssues, outcome.error, config.bugTracker)
+            : classifyDefect(outcome.error, rules, { response: outcome.response, testMetadata });
+
+        config.logger.finishTest(outcome.testId, outcome.status, issue.issueType, issue.comment, issue.externalIssues);
+    } else {
+        config.logger.finishTest(outcome.testId, outcome.status);
+    }
+}
+
+/**
+ * Resolve the retry options of a test from @Test metadata, falling back to the global configuration
+ * @param {Object} testMetadata Metadata from the @Test decorator
+ * @param {Object} config Configuration for the tests
+ * @returns {{retries: number, retryDelay: number, retryOn: Function}} Retry policy, delay in milliseconds
+ */
+function getRetryPolicy(testMetadata, config) {
+    return {
+        retries: Number(pickOption('retries', testMetadata, config, 'retries', 'TEST_RETRIES') || 0),
+        retryDelay: parseDuration(
+            pickOption('retryDelay', testMetadata, config, 'retryDelay', 'TEST_RETRY_DELAY') || 0
+        ),
+        retryOn: pickOption('retryOn', testMetadata, config, 'retryOn') || (() => true)
+    };
+}
+
+/**
+ * Resolve the HTTP capture options of a test from @Test metadata, falling back to the global configuration
+ * @param {Object} testMetadata Metadata from the @Test decorator
+ * @param {Object} config Configuration for the tests
+ * @returns {Object} Options for createHttpClient
+ */
+function getHttpOptions(testMetadata, config) {
+    return {
+        testName: testMetadata.name,
+        capture: pickOption('httpCapture', testMetadata, config, 'httpCapture', 'HTTP_CAPTURE'),
+        expectedStatuses: pickOption('expectedStatuses', testMetadata, config, 'httpExpectedStatuses'),
+        maxBodyLength: Number(pickOption('httpMaxBodyLength', testMetadata, config, 'httpMaxBodyLength',
+            'HTTP_MAX_BODY_LENGTH')) || undefined
+    };
+}
+
+/**
+ * Read an option from decorator metadata, falling back to the global configuration and then the environment
+ * @param {string} key Option name in the decorator metadata
+ * @param {Object} metadata Metadata from the @Test or @Suite decorator
+ * @param {Object} config Configuration for the tests
+ * @param {string} configKey Option name in the global configuration
+ * @param {string} [envName] Environment variable with the default value
+ * @returns {*} Option value, undefined if not set anywhere
+ */
+function pickOption(key, metadata, config, configKey, envName) {
+    if (metadata[key] !== undefined) return metadata[key];
+    if (config[configKey] !== undefined) return config[configKey];
+    return envName ? getEnv(envName) : undefined;
+}
+
+/**
+ * Thrown when a test, hook or suite runs longer than its timeout
+ */
+class TimeoutError extends Error {
+    constructor(message, timeout) {
+        super(timeout ? `${message} after ${timeout}ms` : message);
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Run a function and reject with a TimeoutError if it does not settle in time.
+ * Only asynchronous waits can be interrupted, the abandoned call keeps running in the background.
+ * @param {Function} invoke Function to run, may return a promise
+ * @param {number|undefined} timeout Timeout in milliseconds, no timeout when not set
+ * @param {string} message Message of the TimeoutError
+ * @returns {Promise<*>} Value returned by the function
+ */
+function runWithTimeout(invoke, timeout, message) {
+    const execution = Promise.resolve().then(invoke);
+    if (!timeout) return execution;
+
+    let timer;
+    const expiry = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new TimeoutError(message, timeout)), timeout);
+    });
+
+    return Promise.race([execution, expiry]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Get the time left before the suite deadline
+ * @param {Object} config Configuration for the tests
+ * @returns {number|undefined} Remaining milliseconds, undefined if the suite has no timeout
+ */
+function getRemainingSuiteTime(config) {
+    if (!config.suiteDeadline) return undefined;
+    return Math.max(config.suiteDeadline - Date.now(), 1);
+}
+
+/**
+ * Check whether the suite deadline has passed
+ * @param {Object} config Configuration for the tests
+ * @returns {boolean} True if the suite timed out
+ */
+function isSuiteTimedOut(config) {
+    return Boolean(config.suiteDeadline) && Date.now() >= config.suiteDeadline;
+}
+
+/**
+ * Pick the shortest of the timeouts that are set
+ * @param {...(number|undefined)} timeouts Timeouts in milliseconds
+ * @returns {number|undefined} Shortest timeout, undefined if none is set
+ */
+function shortestTimeout(...timeouts) {
+    const set = timeouts.filter(timeout => timeout > 0);
+    return set.length > 0 ? Math.min(...set) : undefined;
+}
+
+/**
+ * Create the `step` helper of the test context, reporting nested STEP items under the given parent item.
+ * The callback gets the test context with `testId` set to the step, so logs, checks, HTTP calls and nested steps
+ * go under it. Its `check` is bound to the step, so concurrent steps report their checks under the right step,
+ * and a failed check fails the step and the items above it.
+ * It may be sync or async, an async callback makes `step` return a promise.
+ * @param {string} parentId ID of the item the steps are created under
+ * @param {Object} testContext Context of the running test
+ * @param {Set<string>} openSteps IDs of the steps not finished yet
+ * @param {function(string, Array<string[]>): {check: Function, http: Object}} bindHelpers Creates the `check`
+ * and `http` helpers reporting under an item
+ * @param {Array<string[]>} failureLists Failed check lists of the parent item and the items above it
+ * @returns {function(string, Function, Object=): *} Step helper returning the value of the callback
+ */
+function createStepRunner(parentId, testContext, openSteps, bindHelpers, failureLists) {
+    const logger = testContext.logger;
+
+    return function step(name, fn, options = {}) {
+        const stepId = logger.startItem({
+            name,
+            type: ItemType.STEP,
+            description: options.description,
+            attributes: options.attributes,
+            parentId,
+            hasStats: false
+        });
+        openSteps.add(stepId);
+
+        const stepFailures = [];
+        const stepFailureLists = [stepFailures, ...failureLists];
+        const stepContext = { ...testContext, ...bindHelpers(stepId, stepFailureLists), testId: stepId };
+        stepContext.step = createStepRunner(stepId, testContext, openSteps, bindHelpers, stepFailureLists);
+
+        const finish = status => {
+            openSteps.delete(stepId);
+            logger.finishItem(stepId, status);
+        };
+        // Soft check failures let the step complete but fail it
+        const complete = () => {
+            if (stepFailures.length > 0) {
+                logger.error(stepId, `Step failed: ${stepFailures.length} check(s) failed: ${stepFailures.join(', ')}`);
+                finish(Status.FAILED);
+            } else {
+                finish(Status.PASSED);
+            }
+        };
+        const fail = error => {
+            if (error instanceof SkipTestError) {
+                finish(Status.SKIPPED);
+            } else {
+                logger.error(stepId, `Step failed: ${error.message}`);
+                finish(Status.FAILED);
             }
-            config.logger.success(testId, `Test completed: ${testMetadata.name}`);
-            config.logger.finishTest(testId, 'passed');
+            throw error;
+        };
+
+        // The imported check reports under the step while its code runs synchronously, an async step gives the
+        // active check back at its first await so concurrent steps do not report under each other
+        const previousCheck = setActiveCheck(stepContext.check);
+        let result;
+        try {
+            result = fn(stepContext);
         } catch (error) {
-            hasFailedTests = true;
-            if (!firstError) firstError = error;
+            fail(error);
+        } finally {
+            setActiveCheck(previousCheck);
+        }
 
-            const errorMsg = `Test failed: ${error.message}`;
-            config.logger.error(testId, errorMsg);
-            config.logger.finishTest(testId, 'failed');
+        if (result && typeof result.then === 'function') {
+            return result.then(value => {
+                complete();
+                return value;
+            }, fail);
         }
+
+        complete();
+        return result;
+    };
+}
+
+/**
+ * Thrown by `skip()` from the test context to stop a test and report it as skipped
+ */
+class SkipTestError extends Error {
+    constructor(reason) {
+        super(reason || 'Skipped from test body');
+        this.name = 'SkipTestError';
     }
+}
 
-    if (hasFailedTests && firstError) {
-        throw firstError;
+/**
+ * Stop the running test and report it as skipped, exposed as `skip` in the test context
+ * @param {string} [reason] Why the test is skipped
+ */
+function skipTest(reason) {
+    throw new SkipTestError(reason);
+}
+
+/**
+ * Work out whether a test should be skipped from @Skip and the `skip` option of @Test
+ * @param {Function} testMethod The test method
+ * @param {Object} config Runtime configuration the skip condition is evaluated against
+ * @returns {string|null} Skip reason, or null if the test should run
+ */
+function resolveSkipReason(testMethod, config) {
+    if (testMethod.skipMetadata) {
+        return testMethod.skipMetadata.reason || 'Skipped by @Skip';
+    }
+
+    const { skip, skipReason } = testMethod.testMetadata;
+    const result = typeof skip === 'function' ? skip(config, testMethod.testMetadata) : skip;
+
+    if (!result) return null;
+    return typeof result === 'string' ? result : (skipReason || 'Skip condition met');
+}
+
+/**
+ * Run a lifecycle hook as its own Report Portal item under the current suite
+ * @param {string} itemType Report Portal item type from ItemType enum
+ * @param {string} name Name of the reported item
+ * @param {Object} config Configuration for the hook, `testId` is the parent item
+ * @param {Function} invoke Calls the hook method with the hook configuration
+ * @param {number} [timeout] Timeout in milliseconds
+ * @param {Object} [identity] Code reference, test case ID and unique ID of the hook item
+ * @returns {Promise<*>} Value returned by the hook
+ */
+async function runHook(itemType, name, config, invoke, timeout, identity) {
+    const hookId = config.logger.startItem({ ...identity, name, type: itemType, parentId: config.testId });
+
+    try {
+        config.logger.info(hookId, `Starting ${name}`);
+        const result = await runWithTimeout(() => invoke({ ...config, testId: hookId }), timeout, `${name} timed out`);
+        config.logger.success(hookId, `${name} completed`);
+        config.logger.finishItem(hookId, Status.PASSED);
+        return result;
+    } catch (error) {
+        config.logger.error(hookId, `${name} failed: ${error.message}`);
+        config.logger.finishItem(hookId, error instanceof TimeoutError ? Status.INTERRUPTED : Status.FAILED);
+        throw error;
+    }
+}
+
+/**
+ * Report tests of a suite as skipped without running them
+ * @param {Object} testSuite The test suite object
+ * @param {string[]} testMethods Names of the test methods to skip
+ * @param {string} reason Why the tests were not run
+ * @param {string} issueType Defect type from DefectType enum
+ * @param {Object} config Configuration for the tests
+ */
+function skipTests(testSuite, testMethods, reason, issueType, config) {
+    const tests = testMethods.flatMap(methodName => getTestInstances(testSuite, methodName, config));
+    skipTestInstances(tests, reason, issueType, config);
+}
+
+/**
+ * Report test instances as skipped without running them
+ * @param {Array<Object>} tests Test instances from getTestInstances
+ * @param {string} reason Why the tests were not run
+ * @param {string} issueType Defect type from DefectType enum
+ * @param {Object} config Configuration for the tests
+ */
+function skipTestInstances(tests, reason, issueType, config) {
+    for (const test of tests) {
+        const testId = startTestItem(test, config);
+        finishSkippedTest(testId, reason, issueType, config);
+    }
+}
+
+/**
+ * Log the skip reason on a test item and finish it as skipped
+ * @param {string} testId Test item ID
+ * @param {string} reason Why the test was skipped
+ * @param {string} issueType Defect type from DefectType enum
+ * @param {Object} config Configuration for the tests
+ */
+function finishSkippedTest(testId, reason, issueType, config) {
+    config.logger.warn(testId, `Test skipped: ${reason}`);
+    config.logger.finishTest(testId, Status.SKIPPED, issueType, reason);
+}
+
+/**
+ * Start the Report Portal item of a test
+ * @param {Object} test Test instance from getTestInstances
+ * @param {Object} config Configuration for the tests, `testId` is the suite item
+ * @param {Object} [itemOptions] Extra options for the test item, e.g. `retry` and `retryOf`
+ * @returns {string|null} Test item ID
+ */
+function startTestItem(test, config, itemOptions = {}) {
+    const testMetadata = test.testMetadata;
+    itemOptions = { ...getTestIdentity(test, config), ...itemOptions };
+    if (test.parameters) {
+        itemOptions = { ...itemOptions, parameters: test.parameters };
+    }
+
+    return config.logger.startTest(
+        testMetadata.name,
+        testMetadata.description,
+        {
+            priority: testMetadata.priority,
+            features: testMetadata.features,
+            service: testMetadata.service
+        },
+        config.testId,
+        itemOptions
+    );
+}
+
+/**
+ * Get the identity of a test instance, used by Report Portal to track its history across launches
+ * @param {Object} test Test instance from getTestInstances
+ * @param {Object} config Configuration for the tests, `suiteIdentity` is the identity of the suite
+ * @returns {{codeRef: string, testCaseId: string, uniqueId: string}} Test identity
+ */
+function getTestIdentity(test, config) {
+    return getMemberIdentity(config.suiteIdentity, test.methodName, {
+        testCaseId: test.testMetadata.testCaseId,
+        caseId: test.caseId,
+        index: test.index
+    });
+}
+
+/**
+ * Get the identity of a per-test hook item, the hook method of the suite tracked separately for every test
+ * @param {Object} test Test instance from getTestInstances
+ * @param {string} methodName Name of the hook method
+ * @param {Object} config Configuration for the tests
+ * @returns {{codeRef: string, testCaseId: string, uniqueId: string}} Hook identity
+ */
+function getTestHookIdentity(test, methodName, config) {
+    const testIdentity = getTestIdentity(test, config);
+    const parentIdentity = { codeRef: config.suiteIdentity.codeRef, testCaseId: testIdentity.testCaseId };
+    return getMemberIdentity(parentIdentity, methodName);
+}
+
+/**
+ * Expand a test method into the test instances to run, one per data row for parameterized tests.
+ * Rows come from @TestCases or the `cases` option of @Test, as an array, a SharedArray or a function
+ * of the runtime configuration returning one. `{key}` placeholders in the test name are replaced with
+ * the row values, `{index}` with the 1-based row number. The ID of a row is read from its `testCaseId` column,
+ * or the column named by the `idKey` option of @TestCases or the `caseIdKey` option of @Test.
+ * @param {Object} testSuite The test suite object
+ * @param {string} methodName Name of the test method
+ * @param {Object} config Configuration for the tests
+ * @returns {Array<{methodName: string, testMetadata: Object, testCase: *, parameters: Object, caseId: *,
+ * index: number, error: Error}>}
+ * Test instances, a single one carrying `error` if the rows could not be loaded
+ */
+function getTestInstances(testSuite, methodName, config) {
+    const testMethod = testSuite[methodName];
+    const testMetadata = testMethod.testMetadata;
+    const source = testMethod.testCases || testMetadata.cases;
+    const idKey = (testMethod.testCasesOptions && testMethod.testCasesOptions.idKey) || testMetadata.caseIdKey
+        || 'testCaseId';
+
+    if (!source) {
+        return [{ methodName, testMetadata }];
     }
+
+    let rows;
+    try {
+        rows = Array.from(typeof source === 'function' ? source(config) : source);
+    } catch (error) {
+        return [{ methodName, testMetadata, error: new Error(`Failed to load test cases: ${error.message}`) }];
+    }
+
+    // Names are built from the redacted row, so secrets in the rows do not end up in item names
+    const redact = config.logger && config.logger.redact ? config.logger.redact : value => value;
+
+    return rows.map((row, index) => {
+        const parameters = row !== null && typeof row === 'object' && !Array.isArray(row) ? row : { value: row };
+        const name = formatTestCaseName(testMetadata.name, redact(parameters), index);
+        const caseId = parameters[idKey];
+        return {
+            methodName,
+            testMetadata: { ...testMetadata, name },
+            testCase: row,
+            parameters,
+            caseId: caseId !== undefined && caseId !== null && caseId !== '' ? caseId : undefined,
+            index
+        };
+    });
+}
+
+/**
+ * Build the name of a parameterized test case from the test name template
+ * @param {string} template Test name, may contain `{key}` and `{index}` placeholders
+ * @param {Object} parameters Row values
+ * @param {number} index 0-based row number
+ * @returns {string} Test case name, the row values are appended if the template has no placeholders
+ */
+function formatTestCaseName(template, parameters, index) {
+    const values = { ...parameters, index: index + 1 };
+    const name = template.replace(/\{(\w+)}/g, (placeholder, key) =>
+        values[key] !== undefined ? String(values[key]) : placeholder);
+
+    if (name !== template) return name;
+
+    const summary = Object.values(parameters)
+        .map(value => (value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value)));
+    return `${template} [${summary.join(', ')}]`;
+}
+
+/**
+ * Find the methods of a test suite marked with @Test
+ * @param {Object} testSuite The test suite object
+ * @returns {string[]} Test method names
+ */
+function findTestMethods(testSuite) {
+    return Object.getOwnPropertyNames(Object.getPrototypeOf(testSuite))
+        .filter(method => {
+            const fn = testSuite[method];
+            return typeof fn === 'function' && fn.testMetadata;
+        });
+}
+
+/**
+ * Find the lifecycle method of a test suite marked with the given decorator flag
+ * @param {Object} testSuite The test suite object
+ * @param {string} flag Decorator flag, e.g. `isSetup` or `isBeforeEach`
+ * @returns {string|undefined} Method name if found
+ */
+function findLifecycleMethod(testSuite, flag) {
+    return Object.getOwnPropertyNames(Object.getPrototypeOf(testSuite))
+        .find(method => typeof testSuite[method] === 'function' && testSuite[method][flag]);
 }
 
 /**
@@ -170,18 +1046,11 @@ async function runTests(testSuite, setupResult, config) {
  * @returns {Promise<void>}
  */
 async function runSuiteTeardown(testSuite, setupResult, config) {
-    const teardownMethod = Object.getOwnPropertyNames(Object.getPrototypeOf(testSuite))
-        .find(method => testSuite[method].isTeardown);
+    const teardownMethod = findLifecycleMethod(testSuite, 'isTeardown');
 
     if (teardownMethod) {
-        try {
-            config.logger.info(config.testId, 'Starting suite teardown');
-            await Promise.resolve(testSuite[teardownMethod](setupResult, config));
-            config.logger.success(config.testId, 'Suite teardown completed');
-        } catch (error) {
-            const errorMsg = `Suite teardown failed: ${error.message}`;
-            config.logger.error(config.testId, errorMsg);
-            throw error; // Rethrow to be caught by the caller
-        }
+        await runHook(ItemType.AFTER_CLASS, 'Suite teardown', config,
+            hookConfig => testSuite[teardownMethod](setupResult, hookConfig), undefined,
+            getMemberIdentity(config.suiteIdentity, teardownMethod));
     }
 }
\ No newline at end of file
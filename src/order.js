@@ -0,0 +1,118 @@
+/**
+ * Parses the test order mode
+ * @param {string} [value='declaration'] 'declaration', 'random' or 'random:<seed>'
+ * @returns {{random: boolean, seed: number|null}} Test order, a seed is generated for 'random' without one
+ * @throws {Error} If the value is not a valid test order
+ */
+export function parseTestOrder(value) {
+    if (!value || value === 'declaration') {
+        return { random: false, seed: null };
+    }
+
+    const match = String(value).match(/^random(?::(\d+))?$/);
+    if (!match) {
+        throw new Error(`Invalid test order "${value}", expected "declaration", "random" or "random:<seed>"`);
+    }
+
+    return {
+        random: true,
+        seed: match[1] !== undefined ? Number(match[1]) : Math.floor(Math.random() * 1000000)
+    };
+}
+
+/**
+ * Orders the test methods of a suite.
+ * Tests with an explicit `order` run first, lowest first, the others keep their declaration order or are
+ * shuffled in random mode. Tests are then moved after the tests they depend on through `dependsOn`.
+ * @param {string[]} methodNames Test method names in declaration order
+ * @param {function(string): Object} getMetadata Returns the @Test metadata of a method
+ * @param {{random: boolean, seed: number|null}} testOrder Test order from parseTestOrder
+ * @returns {string[]} Ordered test method names
+ */
+export function orderTests(methodNames, getMetadata, testOrder) {
+    const names = testOrder.random ? shuffle(methodNames, testOrder.seed) : [...methodNames];
+    const position = name => {
+        const order = getMetadata(name).order;
+        return typeof order === 'number' ? order : Infinity;
+    };
+
+    // Array.prototype.sort is stable, tests with the same order keep their relative position
+    names.sort((a, b) => {
+        const diff = position(a) - position(b);
+        return Number.isNaN(diff) ? 0 : diff;
+    });
+
+    return sortByDependencies(names, name => getDependencies(getMetadata(name)));
+}
+
+/**
+ * Reads the `dependsOn` option of @Test metadata as an array
+ * @param {Object} testMetadata Metadata from the @Test decorator
+ * @returns {string[]} Names of the test methods the test depends on
+ */
+export function getDependencies(testMetadata) {
+    const { dependsOn } = testMetadata;
+    if (!dependsOn) return [];
+    return Array.isArray(dependsOn) ? dependsOn : [dependsOn];
+}
+
+/**
+ * Moves every test after the tests it depends on, keeping the given order otherwise.
+ * Tests in a dependency cycle are appended in their given order.
+ * @private
+ */
+function sortByDependencies(names, dependenciesOf) {
+    const known = new Set(names);
+    const placed = new Set();
+    const sorted = [];
+
+    let progress = true;
+    while (progress) {
+        progress = false;
+        for (const name of names) {
+            if (placed.has(name)) continue;
+
+            const ready = dependenciesOf(name).every(dependency => !known.has(dependency) || placed.has(dependency));
+            if (ready) {
+                placed.add(name);
+                sorted.push(name);
+                progress = true;
+                break;
+            }
+        }
+    }
+
+    return sorted.concat(names.filter(name => !placed.has(name)));
+}
+
+/**
+ * Shuffles a copy of an array with a seeded random generator
+ * @private
+ */
+function shuffle(items, seed) {
+    const random = createRandom(seed);
+    const result = [...items];
+
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+
+    return result;
+}
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32)
+ * @private
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,145 @@
+import {getEnv} from './helpers.js';
+
+const DEFAULT_MASK = '[REDACTED]';
+
+const redactors = new WeakMap();
+
+/**
+ * Gets the redactor of a reporter configuration, created once per configuration object
+ * so the launch and the client share the audit counter
+ * @param {Object} options Reporter configuration, redaction rules are read from `options.redact`
+ * @returns {Object} Redactor, see createRedactor
+ */
+export function getRedactor(options) {
+    if (!redactors.has(options)) {
+        redactors.set(options, createRedactor(options.redact, [options.token, getEnv('AUTH_TOKEN')]));
+    }
+    return redactors.get(options);
+}
+
+/**
+ * Creates a redactor scrubbing secrets and personal data from text and JSON values
+ * @param {Object} [rules] Redaction rules
+ * @param {string[]} [rules.headers] Header names whose values are masked, in `Name: value` text and as object keys,
+ * case-insensitive
+ * @param {string[]} [rules.paths] JSON paths masked in JSON values, e.g. `user.email` or `items[*].token`
+ * @param {Array<RegExp|string>} [rules.patterns] Patterns whose matches are masked in text
+ * @param {function(string): string} [rules.custom] Called with every string after the other rules
+ * @param {string} [rules.mask='[REDACTED]'] Replacement of the redacted values
+ * @param {string[]} [secrets] Secret values masked wherever they appear
+ * @returns {{text: function(string): string, value: function(*): *, copy: function(*): *,
+ * getCount: function(): number}} Redactor
+ */
+export function createRedactor(rules = {}, secrets = []) {
+    const mask = rules.mask || DEFAULT_MASK;
+    const headers = (rules.headers || []).map(name => name.toLowerCase());
+    const paths = (rules.paths || []).map(parsePath);
+    const headerPatterns = headers.map(name =>
+        new RegExp(`(${escapeRegExp(name)}"?\\s*[:=]\\s*)("?)[^"\\r\\n,;]+`, 'gi'));
+    const patterns = [
+        ...secrets.filter(secret => secret && String(secret).length >= 4)
+            .map(secret => new RegExp(escapeRegExp(String(secret)), 'g')),
+        ...(rules.patterns || []).map(pattern => (pattern instanceof RegExp
+            ? new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`)
+            : new RegExp(pattern, 'g')))
+    ];
+    let count = 0;
+
+    function text(value) {
+        if (typeof value !== 'string' || value === '') return value;
+
+        let result = value;
+        for (const pattern of headerPatterns) {
+            // Keep the header name and the opening quote of the value
+            result = result.replace(pattern, (match, prefix, quote) => {
+                count++;
+                return `${prefix}${quote}${mask}`;
+            });
+        }
+        for (const pattern of patterns) {
+            result = result.replace(pattern, () => {
+                count++;
+                return mask;
+            });
+        }
+
+        if (rules.custom) {
+            const custom = rules.custom(result);
+            if (custom !== result) count++;
+            result = custom;
+        }
+        return result;
+    }
+
+    function value(data, path = []) {
+        if (paths.some(pattern => matchesPath(pattern, path))) {
+            count++;
+            return mask;
+        }
+        if (typeof data === 'string') return text(data);
+        if (data === null || typeof data !== 'object') return data;
+        if (Array.isArray(data)) return data.map((item, index) => value(item, [...path, index]));
+
+        return Object.keys(data).reduce((result, key) => {
+            if (headers.includes(key.toLowerCase())) {
+                count++;
+                result[key] = mask;
+            } else {
+                result[key] = value(data[key], [...path, key]);
+            }
+            return result;
+        }, {});
+    }
+
+    return {
+        /**
+         * Redacts a text, non-string values are returned as they are
+         */
+        text,
+
+        /**
+         * Redacts a JSON value, returning a redacted copy
+         */
+        value: data => value(data),
+
+        /**
+         * Redacts a JSON value without counting the redactions, for copies that are not sent to Report Portal
+         */
+        copy: data => {
+            const before = count;
+            const result = value(data);
+            count = before;
+            return result;
+        },
+
+        /**
+         * Gets the number of redactions done so far
+         */
+        getCount: () => count
+    };
+}
+
+/**
+ * Splits a JSON path such as `$.items[*].token` into its segments
+ * @private
+ */
+function parsePath(path) {
+    return path.replace(/^\$\.?/, '')
+        .replace(/\[(\*|\d+)]/g, '.$1')
+        .split('.')
+        .filter(segment => segment !== '');
+}
+
+/**
+ * Checks whether a value path matches a parsed JSON path, `*` matches any key or index
+ * @private
+ */
+function matchesPath(pattern, path) {
+    return pattern.length === path.length
+        && pattern.every((segment, index) => segment === '*' || segment === String(path[index]));
+}
+
+/** @private */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
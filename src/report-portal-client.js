@@ -1,5 +1,10 @@
 import http from 'k6/http';
+import {sleep} from 'k6';
+import exec from 'k6/execution';
 import {FormData} from 'https://jslib.k6.io/formdata/0.0.2/index.js';
+import {getEnv, parseDuration} from './helpers.js';
+import {getRedactor} from './redaction.js';
+import {formatAttributes, getConfiguredAttributes, getSystemAttributes} from './attributes.js';
 
 /**
  * Creates API request headers with authorization token
@@ -14,6 +19,77 @@ export function createHeaders(token) {
     };
 }
 
+/**
+ * Default k6 tags of the requests sent to Report Portal, so they can be told apart from
+ * the requests of the system under test in metrics and thresholds
+ * @type {Object}
+ */
+export const DEFAULT_REQUEST_TAGS = {
+    reporter: 'report-portal'
+};
+
+/**
+ * Creates k6 request parameters for Report Portal API calls
+ * @param {Object} options - Configuration options for Report Portal
+ * @param {Object} [headers] - Request headers, JSON headers with authorization by default
+ * @returns {Object} Request parameters with headers, timeout and tags
+ * @private
+ */
+function createRequestParams(options, headers = createHeaders(options.token)) {
+    return {
+        headers,
+        timeout: options.timeout || 30000,
+        tags: options.requestTags || DEFAULT_REQUEST_TAGS
+    };
+}
+
+/**
+ * Builds a multipart/form-data body for the Report Portal log endpoint
+ * @param {Array<Object>} logs - Log requests sent as the json_request_part
+ * @param {Array<{name: string, content: string, contentType: string}>} [files] - Files referenced by the logs
+ * @returns {{body: string, contentType: string}} Request body and its content type
+ * @private
+ */
+function buildMultipartBody(logs, files = []) {
+    // Generate a boundary string
+    const boundary = '----WebKitFormBoundary' + Math.random().toString(16).substr(2);
+
+    // JSON request part
+    let body = `--${boundary}\r\n`;
+    body += 'Content-Disposition: form-data; name="json_request_part"\r\n';
+    body += 'Content-Type: application/json\r\n\r\n';
+    body += JSON.stringify(logs) + '\r\n';
+
+    // File content parts
+    files.forEach(file => {
+        body += `--${boundary}\r\n`;
+        body += `Content-Disposition: form-data; name="file"; filename="${file.name}"\r\n`;
+        body += `Content-Type: ${file.contentType}\r\n\r\n`;
+        body += file.content + '\r\n';
+    });
+
+    // End boundary
+    body += `--${boundary}--\r\n`;
+
+    return {body, contentType: `multipart/form-data; boundary=${boundary}`};
+}
+
+/**
+ * Prefix of the console lines carrying recorded reporting events, see recordEvent
+ * @type {string}
+ */
+export const RECORD_PREFIX = 'RP_RECORD ';
+
+/**
+ * Records a reporting event as a JSON line on the console instead of sending it to Report Portal.
+ * Run k6 with `--console-output=<file>` and upload the file later with `bin/rp-replay.js`.
+ * @param {Object} event - Event with its type, client-side UUIDs and the Report Portal request payload
+ * @private
+ */
+function recordEvent(event) {
+    console.log(`${RECORD_PREFIX}${JSON.stringify({...event, recordedAt: Date.now()})}`);
+}
+
 /**
  * Log levels supported by Report Portal
  * @enum {string}
@@ -58,7 +134,19 @@ export const LaunchMode = {
     DEBUG: 'DEBUG'
 };
 
+/**
+ * Analyzers Report Portal can run on a finished launch
+ * @enum {string}
+ */
+export const AnalyzerType = {
+    AUTO: 'autoAnalyzer',
+    PATTERN: 'patternAnalyzer'
+};
 
+/**
+ * Defect types in Report Portal, sent as the locator of their default subtype
+ * @enum {string}
+ */
 export const DefectType = {
     PRODUCT_BUG: 'PB',
     AUTOMATION_BUG: 'AB',
@@ -82,42 +170,71 @@ export const Status = {
 
 
 /**
- *
- * @param type
- * @param comment
- * @returns {{issueType, comment: string}|null}
+ * Formats an issue for Report Portal API
+ * @param {string} type - Defect type from DefectType enum, or the locator of a custom defect subtype
+ * @param {string} [comment] - Issue comment
+ * @param {Array<Object>} [externalIssues] - Linked bug tracker issues
+ * @param {string} externalIssues[].ticketId - Ticket ID, e.g. JIRA-1234
+ * @param {string} [externalIssues[].url] - Ticket URL
+ * @param {string} [externalIssues[].btsUrl] - Bug tracker URL
+ * @param {string} [externalIssues[].btsProject] - Bug tracker project
+ * @returns {Object|null} Issue, null without a defect type
+ * @private
  */
-function formatIssue(type, comment) {
+function formatIssue(type, comment, externalIssues) {
     if (!type) return null;
 
-    return {
-        issueType: type,
+    // DefectType values map to the default subtypes, e.g. PB to pb001
+    const isDefectType = Object.values(DefectType).includes(type);
+    const issue = {
+        issueType: isDefectType ? `${type.toLowerCase()}001` : type,
         comment: comment || 'No comment provided'
     };
+
+    if (externalIssues && externalIssues.length > 0) {
+        issue.externalSystemIssues = externalIssues.map(external => ({
+            ticketId: external.ticketId,
+            url: external.url,
+            btsUrl: external.btsUrl,
+            btsProject: external.btsProject,
+            submitDate: Date.now()
+        }));
+        // Keep auto-analysis from replacing an issue linked by hand
+        issue.ignoreAnalyzer = true;
+    }
+
+    return issue;
 }
 
 
 /**
- * Formats attributes for Report Portal API
- * @param {Object|Array} attributes - Attributes as object or array
- * @returns {Array<Object>} Formatted attributes array
+ * Formats test parameters for Report Portal API
+ * @param {Object|Array} parameters - Parameters as object or array of {key, value}
+ * @returns {Array<Object>} Formatted parameters array
  * @private
  */
-function formatAttributes(attributes) {
-    if (!attributes) return [];
-
-    // Handle array format
-    if (Array.isArray(attributes)) {
-        return attributes;
+function formatParameters(parameters) {
+    if (Array.isArray(parameters)) {
+        return parameters;
     }
 
-    // Handle object format
-    return Object.entries(attributes).map(([key, value]) => ({
+    return Object.entries(parameters).map(([key, value]) => ({
         key,
-        value: Array.isArray(value) ? value.join(',') : String(value)
+        value: value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value)
     }));
 }
 
+/**
+ * Redacts the values of formatted attributes or parameters
+ * @param {Array<{key: string, value: string}>} entries - Formatted attributes or parameters
+ * @param {Object} redactor - Redactor from getRedactor
+ * @returns {Array<Object>} Redacted entries
+ * @private
+ */
+function redactEntries(entries, redactor) {
+    return entries.map(entry => ({...entry, value: redactor.text(entry.value)}));
+}
+
 /**
  * Safely parses API response
  * @param {Object} response - HTTP response object
@@ -154,6 +271,17 @@ const validate = {
     }
 };
 
+/**
+ * Builds the base URL of the Report Portal API for the project
+ * @param {Object} options - Configuration options for Report Portal
+ * @param {number} [apiVersion] - API version, defaults to `options.apiVersion` or 1
+ * @returns {string} API base URL
+ * @private
+ */
+function getApiUri(options, apiVersion = options.apiVersion || 1) {
+    return `${options.endpoint}/api/v${apiVersion}/${options.project}`;
+}
+
 /**
  * Handles API errors and provides logging
  * @param {Object} response - HTTP response object
@@ -170,6 +298,124 @@ function handleApiResponse(response, operation) {
     return false;
 }
 
+/**
+ * Checks whether a response looks like a Report Portal outage rather than a rejected request
+ * @param {Object} response - HTTP response object
+ * @returns {boolean} True for network errors, 429 and 5xx responses
+ * @private
+ */
+function isTransientFailure(response) {
+    return response.status === 0 || response.status === 429 || response.status >= 500;
+}
+
+/**
+ * Sends a request, retrying transient failures with exponential backoff.
+ * Only safe and idempotent methods are retried unless `options.retryNonIdempotent` is set,
+ * a retried POST could create a duplicate launch, item or log.
+ * @param {string} method - HTTP method
+ * @param {Function} send - Sends the request and returns the k6 response
+ * @param {Object} options - Configuration options for Report Portal
+ * @param {number} [options.requestRetries=2] - Retries after the first attempt
+ * @param {string|number} [options.requestRetryDelay='500ms'] - Delay before the first retry, doubled for each next one
+ * @param {boolean} [options.retryNonIdempotent=false] - Also retry POST requests
+ * @returns {Object} Last HTTP response, status 0 if the request threw
+ * @private
+ */
+function requestWithRetry(method, send, options) {
+    const idempotent = method === 'GET' || method === 'PUT' || method === 'DELETE';
+    const retries = idempotent || options.retryNonIdempotent
+        ? (options.requestRetries !== undefined ? options.requestRetries : 2)
+        : 0;
+    const retryDelay = parseDuration(options.requestRetryDelay || '500ms');
+
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = send();
+        } catch (error) {
+            response = {status: 0, body: error.message};
+        }
+
+        if (!isTransientFailure(response) || attempt >= retries) {
+            return response;
+        }
+
+        const delay = retryDelay * Math.pow(2, attempt);
+        console.log(`[RPClient] ${method} failed with status ${response.status}, retrying in ${delay}ms`);
+        sleep(delay / 1000);
+    }
+}
+
+/**
+ * Sends an asynchronous request, retrying transient failures like requestWithRetry without blocking the VU
+ * @param {string} method - HTTP method
+ * @param {function(): Promise<Object>} send - Starts the request, e.g. with `http.asyncRequest`
+ * @param {Object} options - Configuration options for Report Portal, see requestWithRetry
+ * @returns {Promise<Object>} Last HTTP response, status 0 if the request failed
+ * @private
+ */
+async function requestWithRetryAsync(method, send, options) {
+    const idempotent = method === 'GET' || method === 'PUT' || method === 'DELETE';
+    const retries = idempotent || options.retryNonIdempotent
+        ? (options.requestRetries !== undefined ? options.requestRetries : 2)
+        : 0;
+    const retryDelay = parseDuration(options.requestRetryDelay || '500ms');
+
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await send();
+        } catch (error) {
+            response = {status: 0, body: error.message};
+        }
+
+        if (!isTransientFailure(response) || attempt >= retries) {
+            return response;
+        }
+
+        const delay = retryDelay * Math.pow(2, attempt);
+        console.log(`[RPClient] ${method} failed with status ${response.status}, retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+/**
+ * Creates a circuit breaker that opens after a number of consecutive transient failures
+ * @param {number} threshold - Consecutive failures that open the breaker
+ * @returns {Object} Circuit breaker
+ * @private
+ */
+function createCircuitBreaker(threshold) {
+    let failures = 0;
+    let openReason = null;
+
+    return {
+        isOpen() {
+            return openReason !== null;
+        },
+
+        open(reason) {
+            if (openReason === null) {
+                openReason = reason;
+                console.error(`[RPClient] Report Portal unavailable (${reason}), switching to offline mode: ` +
+                    'events are printed to the console instead of being reported');
+            }
+        },
+
+        record(response) {
+            if (!isTransientFailure(response)) {
+                failures = 0;
+                return;
+            }
+
+            failures++;
+            if (failures >= threshold) {
+                this.open(`${failures} consecutive failed requests, last status ${response.status}`);
+            }
+        }
+    };
+}
+
 /**
  * Starts a new test launch in Report Portal
  * @param {Object} options - Configuration options for Report Portal
@@ -179,8 +425,17 @@ function handleApiResponse(response, operation) {
  * @param {string} options.description - Launch description
  * @param {string} options.token - Authentication token
  * @param {boolean} options.publishResult - Whether to publish results
+ * @param {boolean} [options.record=false] - Record events to the console instead of publishing them
+ * @param {number} [options.apiVersion=1] - Report Portal API version, 2 reports asynchronously
  * @param {string} [options.mode='DEFAULT'] - Launch mode ('DEFAULT' or 'DEBUG')
- * @param {Array<Object>|Object} [options.attributes] - Launch attributes
+ * @param {Array<Object>|Object|string} [options.attributes] - Launch attributes, `key:value;...` text or
+ * `RP_ATTRIBUTES` by default
+ * @param {string} [options.component] - Component under test added as an attribute, `RP_COMPONENT` by default
+ * @param {boolean} [options.systemAttributes=true] - Add the k6 version, VUs, iterations, base URL host
+ * and git commit and branch as attributes
+ * @param {boolean} [options.rerun=false] - Report into the latest launch with the same name instead of a new one,
+ * `RP_RERUN` by default
+ * @param {string} [options.rerunOf] - UUID of the launch to report into, `RP_RERUN_OF` by default
  * @param {boolean} [options.debug=false] - Enable debug logging
  * @param {number} [options.timeout=30000] - Request timeout in milliseconds
  * @returns {string|null} Launch ID if successful, null otherwise
@@ -189,73 +444,102 @@ export function startLaunch(options) {
     try {
         validate.options(options);
 
-        if (!options.publishResult) return null;
+        if (!options.publishResult && !options.record) return null;
 
-        const reportPortalUri = `${options.endpoint}/api/v1/${options.project}`;
+        const reportPortalUri = getApiUri(options);
+        const redactor = getRedactor(options);
         const payload = {
             name: options.launch || 'k6 Load Test',
-            description: options.description || '',
+            description: redactor.text(options.description || ''),
             startTime: Date.now(),
             mode: options.mode || LaunchMode.DEFAULT,
-            attributes: formatAttributes(options.attributes)
+            attributes: redactEntries(getLaunchAttributes(options), redactor),
+            uuid: generateUUID()
         };
 
-        const requestParams = {
-            timeout: options.timeout || 30000
-        };
+        const rerunOf = options.rerunOf || getEnv('RP_RERUN_OF');
+        const rerun = options.rerun !== undefined ? options.rerun : getEnv('RP_RERUN');
+        if (rerunOf || rerun === true || String(rerun).toLowerCase() === 'true') {
+            payload.rerun = true;
+            if (rerunOf) payload.rerunOf = rerunOf;
+        }
+
+        if (options.record) {
+            recordEvent({type: 'startLaunch', uuid: payload.uuid, payload});
+            return payload.uuid;
+        }
 
         if (options.debug) {
             console.log(`Starting launch: ${JSON.stringify(payload)}`);
         }
 
-        const response = http.post(
+        const response = requestWithRetry('POST', () => http.post(
             `${reportPortalUri}/launch`,
             JSON.stringify(payload),
-            {headers: createHeaders(options.token), ...requestParams}
-        );
+            createRequestParams(options)
+        ), options);
 
         if (!handleApiResponse(response, 'startLaunch')) {
             return null;
         }
 
         const result = parseResponse(response);
-        return result.id;
+        return result.id || payload.uuid;
     } catch (error) {
         console.error(`Error starting launch: ${error.message}`);
         return null;
     }
 }
 
+/**
+ * Gets the attributes a launch starts with, the system attributes followed by the configured ones
+ * @param {Object} options - Configuration options for Report Portal
+ * @returns {Array<Object>} Formatted attributes array
+ * @private
+ */
+function getLaunchAttributes(options) {
+    const systemAttributes = options.systemAttributes !== false ? getSystemAttributes(options) : [];
+    return [...systemAttributes, ...getConfiguredAttributes(options)];
+}
+
 /**
  * Finishes a test launch in Report Portal
  * @param {string} launchId - ID of the launch to finish
  * @param {Object} options - Configuration options for Report Portal
- * @param {string} [status=PASSED] - Final launch status
+ * @param {string|null} [status=PASSED] - Final launch status, null lets Report Portal work it out from the items
+ * @param {Object|Array} [attributes] - Attributes added to the launch when it finishes
  * @returns {boolean} True if successful, false otherwise
  */
-export function finishLaunch(launchId, options, status = Status.PASSED) {
+export function finishLaunch(launchId, options, status = Status.PASSED, attributes) {
     try {
-        if (!options.publishResult || !launchId) return false;
+        if ((!options.publishResult && !options.record) || !launchId) return false;
 
-        const reportPortalUri = `${options.endpoint}/api/v1/${options.project}`;
+        const reportPortalUri = getApiUri(options);
         const payload = {
-            endTime: Date.now(),
-            status: status
+            endTime: Date.now()
         };
 
-        const requestParams = {
-            timeout: options.timeout || 30000
-        };
+        if (status) {
+            payload.status = status;
+        }
+        if (attributes) {
+            payload.attributes = redactEntries(formatAttributes(attributes), getRedactor(options));
+        }
+
+        if (options.record) {
+            recordEvent({type: 'finishLaunch', uuid: launchId, payload});
+            return true;
+        }
 
         if (options.debug) {
             console.log(`Finishing launch ${launchId}: ${JSON.stringify(payload)}`);
         }
 
-        const response = http.put(
+        const response = requestWithRetry('PUT', () => http.put(
             `${reportPortalUri}/launch/${launchId}/finish`,
             JSON.stringify(payload),
-            {headers: createHeaders(options.token), ...requestParams}
-        );
+            createRequestParams(options)
+        ), options);
 
         return handleApiResponse(response, 'finishLaunch');
     } catch (error) {
@@ -264,6 +548,143 @@ export function finishLaunch(launchId, options, status = Status.PASSED) {
     }
 }
 
+/**
+ * Gets a launch by its UUID
+ * @param {string} launchUuid - UUID of the launch
+ * @param {Object} options - Configuration options for Report Portal
+ * @returns {Object|null} Launch with its numeric `id`, `status` and running `analysing` jobs, null if not found
+ */
+export function getLaunch(launchUuid, options) {
+    try {
+        const response = requestWithRetry('GET', () => http.get(
+            `${getApiUri(options, 1)}/launch/uuid/${launchUuid}`,
+            createRequestParams(options)
+        ), options);
+
+        // An asynchronously reported launch may not be saved yet
+        if (response.status === 404) return null;
+        return handleApiResponse(response, 'getLaunch') ? parseResponse(response) : null;
+    } catch (error) {
+        console.error(`Error getting launch: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Waits until Report Portal has finished processing a launch: the launch is finished and no analysis is running
+ * @param {string} launchUuid - UUID of the launch
+ * @param {Object} options - Configuration options for Report Portal
+ * @param {Object} [waitOptions] - Polling options
+ * @param {string|number} [waitOptions.timeout='5m'] - How long to wait
+ * @param {string|number} [waitOptions.interval='5s'] - Delay between two polls
+ * @returns {Object|null} Processed launch, null if it was not processed in time
+ */
+export function waitForLaunch(launchUuid, options, waitOptions = {}) {
+    const timeout = parseDuration(waitOptions.timeout || '5m');
+    const interval = parseDuration(waitOptions.interval || '5s');
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+        const launch = getLaunch(launchUuid, options);
+        if (launch && launch.status !== 'IN_PROGRESS'
+            && (!launch.analysing || launch.analysing.length === 0)) {
+            return launch;
+        }
+
+        if (Date.now() + interval > deadline) {
+            console.error(`Launch ${launchUuid} was not processed within ${timeout}ms`);
+            return null;
+        }
+        sleep(interval / 1000);
+    }
+}
+
+/**
+ * Runs a Report Portal analyzer on a finished launch
+ * @param {string} launchUuid - UUID of the launch
+ * @param {Object} options - Configuration options for Report Portal
+ * @param {Object} [analyzeOptions] - Analysis options
+ * @param {string} [analyzeOptions.analyzer='autoAnalyzer'] - Analyzer from AnalyzerType enum
+ * @param {string} [analyzeOptions.mode='LAUNCH_NAME'] - Launches the analyzer learns from: 'LAUNCH_NAME', 'ALL',
+ * 'CURRENT_LAUNCH', 'PREVIOUS_LAUNCH' or 'CURRENT_AND_THE_SAME_NAME'
+ * @param {string[]} [analyzeOptions.items=['TO_INVESTIGATE']] - Items analyzed: 'TO_INVESTIGATE', 'AUTO_ANALYZED'
+ * and 'MANUALLY_ANALYZED'
+ * @returns {boolean} True if the analysis was started, false otherwise
+ */
+export function analyzeLaunch(launchUuid, options, analyzeOptions = {}) {
+    try {
+        const launch = getLaunch(launchUuid, options);
+        if (!launch) {
+            console.error(`analyzeLaunch failed: launch ${launchUuid} not found`);
+            return false;
+        }
+
+        const payload = {
+            launchId: launch.id,
+            analyzerTypeName: analyzeOptions.analyzer || AnalyzerType.AUTO,
+            analyzerMode: analyzeOptions.mode || 'LAUNCH_NAME',
+            analyzeItemsMode: analyzeOptions.items || ['TO_INVESTIGATE']
+        };
+
+        const response = requestWithRetry('POST', () => http.post(
+            `${getApiUri(options, 1)}/launch/analyze`,
+            JSON.stringify(payload),
+            createRequestParams(options)
+        ), options);
+
+        return handleApiResponse(response, 'analyzeLaunch');
+    } catch (error) {
+        console.error(`Error analyzing launch: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Merges finished launches into a new launch, e.g. the launches of the shards of a distributed test
+ * @param {string[]} launchUuids - UUIDs of the launches to merge
+ * @param {Object} options - Configuration options for Report Portal
+ * @param {Object} [mergeOptions] - Merge options
+ * @param {string} [mergeOptions.name] - Name of the merged launch, defaults to `options.launch`
+ * @param {string} [mergeOptions.description] - Description of the merged launch
+ * @param {string} [mergeOptions.mergeType='BASIC'] - 'BASIC' keeps the suites apart, 'DEEP' merges suites
+ * with the same name
+ * @param {Object|Array|string} [mergeOptions.attributes] - Attributes of the merged launch
+ * @returns {Object|null} Merged launch with its `id` and `uuid`, null on failure
+ */
+export function mergeLaunches(launchUuids, options, mergeOptions = {}) {
+    try {
+        const launches = launchUuids.map(uuid => getLaunch(uuid, options));
+        const missing = launchUuids.filter((uuid, index) => !launches[index]);
+        if (missing.length > 0) {
+            console.error(`mergeLaunches failed: launches not found: ${missing.join(', ')}`);
+            return null;
+        }
+
+        const payload = {
+            launches: launches.map(launch => launch.id),
+            name: mergeOptions.name || options.launch || 'k6 Load Test',
+            description: getRedactor(options).text(mergeOptions.description || ''),
+            mergeType: mergeOptions.mergeType || 'BASIC',
+            extendSuitesDescription: true,
+            mode: options.mode || LaunchMode.DEFAULT,
+            startTime: Math.min(...launches.map(launch => Number(launch.startTime) || Date.now())),
+            endTime: Date.now(),
+            attributes: redactEntries(formatAttributes(mergeOptions.attributes), getRedactor(options))
+        };
+
+        const response = requestWithRetry('POST', () => http.post(
+            `${getApiUri(options, 1)}/launch/merge`,
+            JSON.stringify(payload),
+            createRequestParams(options)
+        ), options);
+
+        return handleApiResponse(response, 'mergeLaunches') ? parseResponse(response) : null;
+    } catch (error) {
+        console.error(`Error merging launches: ${error.message}`);
+        return null;
+    }
+}
+
 /**
  * Converts text to highlighted markup
  * @param {string} text - Text to highlight
@@ -290,15 +711,39 @@ function markupText(text, highlightType = 'highlight') {
  * Creates a Report Portal client for test reporting
  * @param {string} launchId - ID of the current launch
  * @param {Object} options - Configuration options for Report Portal
+ * @param {boolean} [options.bufferLogs=false] - Queue log messages and send them in batches
+ * @param {number} [options.logBatchSize=50] - Number of queued log messages that triggers a flush
+ * @param {string|number} [options.logFlushInterval='5s'] - Age of the oldest queued log message that triggers a flush
+ * @param {Object} [options.requestTags] - k6 tags of the requests sent to Report Portal, see DEFAULT_REQUEST_TAGS
+ * @param {number} [options.circuitBreakerThreshold=5] - Consecutive failed requests after which the client
+ * stops reporting and prints events to the console instead, see requestWithRetry for the retry options
  * @returns {Object} Client object with methods for test reporting
  */
 export function createClient(launchId, options) {
     validate.options(options);
 
-    const reportPortalUri = `${options.endpoint}/api/v1/${options.project}`;
+    const reportPortalUri = getApiUri(options);
     const token = options.token;
+    const asyncReporting = Number(options.apiVersion) === 2;
+    const redactor = getRedactor(options);
     const debug = options.debug || false;
-    const timeout = options.timeout || 30000;
+    const bufferLogs = options.bufferLogs || false;
+    const logBatchSize = options.logBatchSize || 50;
+    const logFlushInterval = parseDuration(options.logFlushInterval || '5s');
+    const inheritedAttributes = options.propagateAttributes ? getConfiguredAttributes(options) : [];
+
+    let logQueue = [];
+    let logQueueStartedAt = 0;
+
+    const breaker = createCircuitBreaker(options.circuitBreakerThreshold || 5);
+    const droppedEvents = {};
+    const localItems = new Set();
+    const pendingRequests = new Set();
+    let groupId = null;
+
+    if (options.publishResult && !options.record && !launchId) {
+        breaker.open('launch could not be started');
+    }
 
     /**
      * Internal logging for debug purposes
@@ -314,44 +759,286 @@ export function createClient(launchId, options) {
         }
     }
 
+    /**
+     * Counts an event that did not reach Report Portal and prints it to the console instead
+     * @private
+     */
+    function dropEvent(type, detail) {
+        droppedEvents[type] = (droppedEvents[type] || 0) + 1;
+        console.log(`[RPClient${breaker.isOpen() ? ' offline' : ''}] Not reported ${type}: ${detail}`);
+    }
+
+    /**
+     * Names the reporting event of a request for the dropped events report
+     * @private
+     */
+    function describeRequest(method, url, data) {
+        if (method === 'POST' && url.startsWith('/item')) {
+            return {type: 'startItem', detail: data && data.name};
+        }
+        if (method === 'PUT' && url.startsWith('/item')) {
+            return {type: 'finishItem', detail: `${url} ${data && data.status}`};
+        }
+        if (method === 'POST' && url === '/log') {
+            return {type: 'log', detail: data && `[${data.level}] ${data.message}`};
+        }
+        return {type: `${method} ${url.split('/')[1]}`, detail: url};
+    }
+
+    /**
+     * Checks whether a request refers to an item that was never created in Report Portal
+     * @private
+     */
+    function referencesLocalItem(url, data) {
+        if (data && localItems.has(data.itemUuid)) return true;
+
+        const match = url.match(/^\/item\/([^/]+)/);
+        return Boolean(match && localItems.has(match[1]));
+    }
+
+    /**
+     * Creates a local ID for an item that could not be created in Report Portal,
+     * so that reporting can go on and later events for the item are dropped
+     * @private
+     */
+    function createLocalItem() {
+        const id = generateUUID();
+        localItems.add(id);
+        return id;
+    }
+
+    /**
+     * Records an API request as a reporting event, generating the item UUIDs on the client
+     * @private
+     */
+    function recordRequest(method, url, data) {
+        const itemMatch = url.match(/^\/item(?:\/([^/]+))?$/);
+
+        if (method === 'POST' && itemMatch) {
+            recordEvent({type: 'startItem', uuid: data.uuid, parentUuid: itemMatch[1] || null, payload: data});
+            return {success: true, result: {id: data.uuid}};
+        }
+        if (method === 'PUT' && itemMatch && itemMatch[1]) {
+            recordEvent({type: 'finishItem', uuid: itemMatch[1], payload: data});
+            return {success: true, result: {}};
+        }
+        if (method === 'POST' && url === '/log') {
+            if (data.file && data.file.content) {
+                const {content, contentType, name} = data.file;
+                recordEvent({
+                    type: 'log',
+                    payload: {...data, file: {name}},
+                    file: {name, contentType, content, encoding: 'base64'}
+                });
+            } else {
+                recordEvent({type: 'log', payload: data});
+            }
+            return {success: true, result: {}};
+        }
+
+        // Reads such as launch or item status cannot be answered offline
+        return {success: false};
+    }
+
+    /**
+     * Sends a request without waiting for its response, used with the asynchronous reporting API.
+     * The response is checked once it arrives, `onFailure` is called if it was not successful.
+     * @private
+     */
+    function sendAsync(method, url, body, params, operation, onFailure) {
+        const request = requestWithRetryAsync(method, () => http.asyncRequest(method, url, body, params), options)
+            .then(response => {
+                breaker.record(response);
+                if (!handleApiResponse(response, operation)) onFailure();
+            })
+            .finally(() => pendingRequests.delete(request));
+
+        pendingRequests.add(request);
+    }
+
     /**
      * Makes an API request to Report Portal
      * @private
      */
     function makeRequest(method, url, data = null) {
+        if (options.record) return recordRequest(method, url, data);
         if (!options.publishResult) return {success: false};
 
+        const event = describeRequest(method, url, data);
+        if (breaker.isOpen() || referencesLocalItem(url, data)) {
+            dropEvent(event.type, event.detail);
+            return {success: false, dropped: true};
+        }
+
         try {
-            const requestParams = {
-                headers: createHeaders(token),
-                timeout: timeout
-            };
+            const requestParams = createRequestParams(options);
+
+            // Items have client-generated UUIDs, so only reads need to wait for Report Portal
+            if (asyncReporting && method !== 'GET') {
+                sendAsync(method, `${reportPortalUri}${url}`, JSON.stringify(data), requestParams, `${method} ${url}`,
+                    () => dropEvent(event.type, event.detail));
+                return {success: true, result: {id: data && data.uuid}};
+            }
 
-            let response;
-            const fullUrl = `${reportPortalUri}${url}`;
+            const fullUrl = `${method === 'GET' ? getApiUri(options, 1) : reportPortalUri}${url}`;
 
             //debugLog(`${method} ${url}`, data);
 
-            if (method === 'GET') {
-                response = http.get(fullUrl, requestParams);
-            } else if (method === 'POST') {
-                response = http.post(fullUrl, JSON.stringify(data), requestParams);
-            } else if (method === 'PUT') {
-                response = http.put(fullUrl, JSON.stringify(data), requestParams);
-            } else if (method === 'DELETE') {
-                response = http.del(fullUrl, null, requestParams);
-            }
+            const response = requestWithRetry(method, () => {
+                if (method === 'GET') {
+                    return http.get(fullUrl, requestParams);
+                } else if (method === 'POST') {
+                    return http.post(fullUrl, JSON.stringify(data), requestParams);
+                } else if (method === 'PUT') {
+                    return http.put(fullUrl, JSON.stringify(data), requestParams);
+                } else if (method === 'DELETE') {
+                    return http.del(fullUrl, null, requestParams);
+                }
+            }, options);
+            breaker.record(response);
 
             const success = handleApiResponse(response, `${method} ${url}`);
+            if (!success) {
+                dropEvent(event.type, event.detail);
+                return {success, status: response.status};
+            }
+
             const result = parseResponse(response);
 
             return {success, result};
         } catch (error) {
             console.error(`API request error (${method} ${url}): ${error.message}`);
+            dropEvent(event.type, event.detail);
             return {success: false, error: error.message};
         }
     }
 
+    /**
+     * Sends the queued log messages as one multipart batch request
+     * @private
+     */
+    function flushLogs() {
+        if (logQueue.length === 0) return true;
+
+        const logs = logQueue;
+        logQueue = [];
+
+        if (options.record) {
+            logs.forEach(log => recordRequest('POST', '/log', log));
+            return true;
+        }
+        if (!options.publishResult) return false;
+
+        const dropLogs = entries => entries.forEach(log => dropEvent('log', `[${log.level}] ${log.message}`));
+        if (breaker.isOpen()) {
+            dropLogs(logs);
+            return false;
+        }
+
+        const sendable = logs.filter(log => !localItems.has(log.itemUuid));
+        dropLogs(logs.filter(log => localItems.has(log.itemUuid)));
+        if (sendable.length === 0) return false;
+
+        try {
+            const {body, contentType} = buildMultipartBody(sendable);
+            debugLog(`Flushing ${sendable.length} log messages`);
+
+            if (asyncReporting) {
+                sendAsync('POST', `${reportPortalUri}/log`, body, createRequestParams(options, {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': contentType
+                }), `POST /log (batch of ${sendable.length})`, () => dropLogs(sendable));
+                return true;
+            }
+
+            const response = requestWithRetry('POST', () => http.post(`${reportPortalUri}/log`, body,
+                createRequestParams(options, {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': contentType
+                })), options);
+            breaker.record(response);
+
+            const success = handleApiResponse(response, `POST /log (batch of ${sendable.length})`);
+            if (!success) dropLogs(sendable);
+            return success;
+        } catch (error) {
+            console.error(`Error flushing ${sendable.length} log messages: ${error.message}`);
+            dropLogs(sendable);
+            return false;
+        }
+    }
+
+    /**
+     * Redacts a text attachment, JSON paths apply to JSON content
+     * @private
+     */
+    function redactText(content, contentType) {
+        if (contentType.includes('json')) {
+            try {
+                return JSON.stringify(redactor.value(JSON.parse(content)), null, 2);
+            } catch (e) {
+                // Not valid JSON, redacted as text
+            }
+        }
+        return redactor.text(content);
+    }
+
+    /**
+     * Checks the item a log is sent to, null sends it to the launch
+     * @private
+     */
+    function validateLogTarget(itemId) {
+        if (itemId !== null) validate.notEmpty(itemId, 'Item ID');
+    }
+
+    /**
+     * Formats the attributes of an item, suites and tests inherit the configured launch attributes
+     * with `propagateAttributes`, unless they have an attribute with the same key
+     * @private
+     */
+    function getItemAttributes(params) {
+        const attributes = formatAttributes(params.attributes);
+        if (params.type !== ItemType.SUITE && params.type !== ItemType.TEST) {
+            return attributes;
+        }
+
+        const keys = new Set(attributes.map(attribute => attribute.key));
+        return [...inheritedAttributes.filter(attribute => !attribute.key || !keys.has(attribute.key)), ...attributes];
+    }
+
+    /**
+     * Queues a log message and flushes the queue once it is full or old enough
+     * @private
+     */
+    function queueLog(payload) {
+        if (logQueue.length === 0) {
+            logQueueStartedAt = Date.now();
+        }
+        logQueue.push(payload);
+
+        if (logQueue.length >= logBatchSize || isLogQueueStale()) {
+            return flushLogs();
+        }
+        return true;
+    }
+
+    /**
+     * Checks whether the oldest queued log message is older than the flush interval
+     * @private
+     */
+    function isLogQueueStale() {
+        return logQueue.length > 0 && Date.now() - logQueueStartedAt >= logFlushInterval;
+    }
+
+    /**
+     * Flushes the log queue if it is stale, called on every item event so an idle queue does not wait
+     * for the next log message
+     * @private
+     */
+    function flushStaleLogs() {
+        if (isLogQueueStale()) flushLogs();
+    }
+
     return {
         /**
          * Starts a test item (suite, test, etc.)
@@ -360,31 +1047,81 @@ export function createClient(launchId, options) {
          * @param {string} params.type - Item type from ItemType enum
          * @param {string} [params.description] - Item description
          * @param {Object|Array} [params.attributes] - Item attributes
-         * @param {string} [params.parentId] - Parent item ID (null for root items)
-         * @returns {string|null} Item ID if successful, null otherwise
+         * @param {string} [params.parentId] - Parent item ID, root items go under the group started by startGroup
+         * @param {boolean} [params.retry] - Whether the item is a retry of a previous attempt
+         * @param {string} [params.retryOf] - ID of the previous attempt this item retries
+         * @param {Object|Array} [params.parameters] - Parameters of a parameterized test
+         * @param {boolean} [params.hasStats=true] - Whether the item counts toward statistics, false for nested steps
+         * @param {string} [params.codeRef] - Location of the item in the code, e.g. `SuiteClass.methodName`
+         * @param {string} [params.testCaseId] - ID tracking the item history across launches and renames
+         * @param {string} [params.uniqueId] - Unique ID of the item for Report Portal versions before test case IDs
+         * @returns {string} Item ID, or a local ID if the item was not reported
          */
         startItem(params) {
             validate.notEmpty(params.name, 'Item name');
             validate.notEmpty(params.type, 'Item type');
+            flushStaleLogs();
 
             const payload = {
-                name: params.name,
+                name: redactor.text(params.name),
                 type: params.type,
-                description: params.description || '',
+                description: redactor.text(params.description || ''),
                 startTime: Date.now(),
                 launchUuid: launchId,
-                attributes: formatAttributes(params.attributes),
-                hasStats: true,
+                attributes: redactEntries(getItemAttributes(params), redactor),
+                hasStats: params.hasStats !== undefined ? params.hasStats : true,
                 hasChildren: params.type !== ItemType.STEP,
+                uuid: generateUUID()
             };
 
+            if (params.parameters) {
+                // Redact the parameters as JSON first so the `paths` rules apply to them
+                const parameters = Array.isArray(params.parameters)
+                    ? params.parameters : redactor.value(params.parameters);
+                payload.parameters = redactEntries(formatParameters(parameters), redactor);
+            }
+
+            ['codeRef', 'testCaseId', 'uniqueId'].forEach(key => {
+                if (params[key]) payload[key] = redactor.text(String(params[key]));
+            });
+
+            if (params.retry) {
+                payload.retry = true;
+                if (params.retryOf) payload.retryOf = params.retryOf;
+            }
+
             let url = '/item';
-            if (params.parentId) {
-                url = `/item/${params.parentId}`;
+            const parentId = params.parentId || groupId;
+            if (parentId) {
+                url = `/item/${parentId}`;
             }
 
             const {success, result} = makeRequest('POST', url, payload);
-            return success ? result.id : null;
+            return success ? (result.id || payload.uuid) : createLocalItem();
+        },
+
+        /**
+         * Starts a suite grouping the root items started after it, e.g. the suites run by one k6 iteration
+         * @param {string} name - Group name
+         * @param {string} [description] - Group description
+         * @returns {string} Group item ID, or a local ID if the group was not reported
+         */
+        startGroup(name, description = '') {
+            groupId = this.startSuite(name, description);
+            return groupId;
+        },
+
+        /**
+         * Finishes the group started by startGroup
+         * @param {string} [status=PASSED] - Group status
+         * @returns {boolean} True if successful, false otherwise
+         */
+        finishGroup(status = Status.PASSED) {
+            if (!groupId) return false;
+
+            const id = groupId;
+            groupId = null;
+            return this.finishItem(id, status);
         },
 
         /**
@@ -392,10 +1129,12 @@ export function createClient(launchId, options) {
          * @param {string} name - Suite name
          * @param {string} [description] - Suite description
          * @param {Object|Array} [attributes] - Suite attributes
-         * @returns {string|null} Suite ID if successful, null otherwise
+         * @param {Object} [options] - Extra item parameters passed to startItem, e.g. `codeRef` and `testCaseId`
+         * @returns {string} Suite ID, or a local ID if the suite was not reported
          */
-        startSuite(name, description = '', attributes = {}) {
+        startSuite(name, description = '', attributes = {}, options = {}) {
             return this.startItem({
+                ...options,
                 name,
                 description,
                 attributes,
@@ -409,12 +1148,15 @@ export function createClient(launchId, options) {
          * @param {string} [description] - Test description
          * @param {Object|Array} [attributes] - Test attributes
          * @param {string} parentId - Parent suite ID
-         * @returns {string|null} Test ID if successful, null otherwise
+         * @param {Object} [options] - Extra item parameters passed to startItem, e.g. `retry`, `retryOf`
+         * and `testCaseId`
+         * @returns {string} Test ID, or a local ID if the test was not reported
          */
-        startTest(name, description = '', attributes = {}, parentId) {
+        startTest(name, description = '', attributes = {}, parentId, options = {}) {
             validate.notEmpty(parentId, 'Parent ID');
 
             return this.startItem({
+                ...options,
                 name,
                 description,
                 attributes,
@@ -423,46 +1165,45 @@ export function createClient(launchId, options) {
             });
         },
 
-        /**
-         * Starts a test step
-         * @param {string} name - Step name
-         * @param {string} [description] - Step description
-         * @param {string} parentId - Parent test ID
-         * @returns {string|null} Step ID if successful, null otherwise
-         */
         /**
          * Starts a test step
          * @param {string} testId - Parent test ID
          * @param {string} name - Step name
          * @param {string} description - Step description
-         * @returns {string|null} Step ID if successful
+         * @returns {string} Step ID, or a local ID if the step was not reported
          */
         startStep(testId, name, description) {
             validate.notEmpty(testId, 'Test ID');
             validate.notEmpty(name, 'Step name');
+            flushStaleLogs();
 
             const payload = {
-                name,
-                description: description || '',
+                name: redactor.text(name),
+                description: redactor.text(description || ''),
                 type: ItemType.STEP,
                 startTime: Date.now(),
                 launchUuid: launchId,
                 hasStats: true,
-                hasChildren: false
+                hasChildren: false,
+                uuid: generateUUID()
             };
 
             const {success, result} = makeRequest('POST', `/item/${testId}`, payload);
-            return success ? result.id : null;
+            return success ? (result.id || payload.uuid) : createLocalItem();
         },
 
         /**
          * Finishes a test item (suite, test, step)
          * @param {string} id - Item ID to finish
          * @param {string} [status=PASSED] - Item status from Status enum
+         * @param {string} [issueType] - Defect type from DefectType enum
+         * @param {string} [comment] - Defect comment
+         * @param {Array<Object>} [externalIssues] - Linked bug tracker issues, see formatIssue
          * @returns {boolean} True if successful, false otherwise
          */
-        finishItem(id, status = Status.PASSED) {
+        finishItem(id, status = Status.PASSED, issueType, comment, externalIssues) {
             validate.notEmpty(id, 'Item ID');
+            flushLogs();
 
             const payload = {
                 endTime: Date.now(),
@@ -470,6 +1211,10 @@ export function createClient(launchId, options) {
                 launchUuid: launchId
             };
 
+            if (issueType) {
+                payload.issue = formatIssue(issueType, redactor.text(comment), externalIssues);
+            }
+
             const {success} = makeRequest('PUT', `/item/${id}`, payload);
             return success;
         },
@@ -488,10 +1233,13 @@ export function createClient(launchId, options) {
          * Finishes a test case
          * @param {string} id - Test ID to finish
          * @param {string} [status=PASSED] - Test status
+         * @param {string} [issueType] - Defect type from DefectType enum
+         * @param {string} [comment] - Defect comment
+         * @param {Array<Object>} [externalIssues] - Linked bug tracker issues, see formatIssue
          * @returns {boolean} True if successful, false otherwise
          */
-        finishTest(id, status = Status.PASSED) {
-            return this.finishItem(id, status);
+        finishTest(id, status = Status.PASSED, issueType, comment, externalIssues) {
+            return this.finishItem(id, status, issueType, comment, externalIssues);
         },
 
         /**
@@ -500,16 +1248,19 @@ export function createClient(launchId, options) {
          * @param status - Step status from Status enum
          * @param issueType - Defect type from DefectType enum
          * @param comment - Defect comment
+         * @param {Array<Object>} [externalIssues] - Linked bug tracker issues, see formatIssue
          * @returns {boolean} True if successful, false otherwise
          */
-        finishStep(stepId, status = Status.PASSED, issueType, comment) {
+        finishStep(stepId, status = Status.PASSED, issueType, comment, externalIssues) {
+            flushLogs();
+
             const payload = {
                 endTime: Date.now(),
                 status: status
             };
 
             if (issueType) {
-                payload.issue = formatIssue(issueType, comment);
+                payload.issue = formatIssue(issueType, redactor.text(comment), externalIssues);
             }
 
             return makeRequest('PUT', `/item/${stepId}`, payload).success;
@@ -517,27 +1268,83 @@ export function createClient(launchId, options) {
 
         /**
          * Logs a message with specified level
-         * @param {string} itemId - Item ID to log against
+         * @param {string|null} itemId - Item ID to log against, null to log against the launch
          * @param {string} message - Message to log
          * @param {string} [level=INFO] - Log level from LogLevel enum
          * @returns {boolean} True if successful, false otherwise
          */
         log(itemId, message, level = LogLevel.INFO) {
-            validate.notEmpty(itemId, 'Item ID');
+            validateLogTarget(itemId);
             validate.notEmpty(message, 'Message');
 
             const payload = {
-                itemUuid: itemId,
-                message,
+                itemUuid: itemId || undefined,
+                message: redactor.text(message),
                 time: Date.now(),
                 launchUuid: launchId,
                 level
             };
 
+            if (bufferLogs) {
+                return queueLog(payload);
+            }
+
             const {success} = makeRequest('POST', '/log', payload);
             return success;
         },
 
+        /**
+         * Sends the log messages queued in buffered mode
+         * @returns {boolean} True if successful or nothing was queued, false otherwise
+         */
+        flush() {
+            return flushLogs();
+        },
+
+        /**
+         * Waits for the requests sent with the asynchronous reporting API to complete
+         * @returns {Promise<void>} Resolves once no request is pending
+         */
+        async settle() {
+            while (pendingRequests.size > 0) {
+                await Promise.all([...pendingRequests]);
+            }
+        },
+
+        /**
+         * Checks whether the client stopped reporting after repeated Report Portal failures
+         * @returns {boolean} True if events are printed to the console instead of being reported
+         */
+        isOffline() {
+            return breaker.isOpen();
+        },
+
+        /**
+         * Gets the number of values redacted before they were sent to Report Portal
+         * @returns {number} Redaction count, shared with the launch started with the same configuration
+         */
+        getRedactionCount() {
+            return redactor.getCount();
+        },
+
+        /**
+         * Redacts a text or a JSON value with the redaction rules of the reporter, e.g. for results kept locally.
+         * The redactions are not counted by getRedactionCount
+         * @param {*} data - Text or JSON value
+         * @returns {*} Redacted copy of the value
+         */
+        redact(data) {
+            return redactor.copy(data);
+        },
+
+        /**
+         * Gets the number of events that did not reach Report Portal, by event type
+         * @returns {Object<string, number>} Dropped event counts
+         */
+        getDroppedEvents() {
+            return {...droppedEvents};
+        },
+
         /**
          * Logs an info message
          * @param {string} itemId - Item ID to log against
@@ -603,13 +1410,12 @@ export function createClient(launchId, options) {
          * Reports a defect and finishes the step with FAILED status
          * @param {string} stepId - Step ID
          * @param {string} message - Error message
-         * @param {string} [type='AB'] - Defect type (AB, PB, SI, TI)
+         * @param {string} [type='AB'] - Defect type from DefectType enum, or a custom defect subtype locator
          * @returns {boolean} True if successful
          */
-        defect(stepId, message, type = 'AB') {
+        defect(stepId, message, type = DefectType.AUTOMATION_BUG) {
             this.error(stepId, message);
-            const issueId = `${type}${Math.floor(Math.random() * 999).toString().padStart(3, '0')}`;
-            return this.finishStep(stepId, 'FAILED', issueId, message);
+            return this.finishStep(stepId, Status.FAILED, type, message);
         },
 
         /**
@@ -634,60 +1440,66 @@ export function createClient(launchId, options) {
 
         /**
          * Logs JSON data as an attachment
-         * @param {string} itemId - Item ID to log against
+         * @param {string|null} itemId - Item ID to log against, null to log against the launch
          * @param {Object} jsonData - JSON data to log
          * @param {string} [fileName='attachment.json'] - Filename for the attachment
          * @param {string} [message='JSON Attachment'] - Optional message
          * @returns {boolean} True if successful, false otherwise
          */
         json(itemId, jsonData, fileName = 'attachment.json', message = 'JSON Attachment') {
-            validate.notEmpty(itemId, 'Item ID');
+            validateLogTarget(itemId);
 
-            try {
-                const jsonString = JSON.stringify(jsonData, null, 2);
-
-                // Generate a boundary string
-                const boundary = '----WebKitFormBoundary' + Math.random().toString(16).substr(2);
+            if (!options.record && (breaker.isOpen() || localItems.has(itemId))) {
+                dropEvent('attachment', fileName);
+                return false;
+            }
 
-                // Create multipart/form-data manually
-                let body = '';
+            try {
+                const jsonString = JSON.stringify(redactor.value(jsonData), null, 2);
 
-                // JSON request part
                 const jsonPayload = [{
-                    itemUuid: itemId,
+                    itemUuid: itemId || undefined,
                     launchUuid: launchId,
                     level: 'INFO',
-                    message: message,
+                    message: redactor.text(message),
                     time: Date.now(),
                     file: {
                         name: fileName
                     }
                 }];
 
-                body += `--${boundary}\r\n`;
-                body += 'Content-Disposition: form-data; name="json_request_part"\r\n';
-                body += 'Content-Type: application/json\r\n\r\n';
-                body += JSON.stringify(jsonPayload) + '\r\n';
-
-                // File content part
-                body += `--${boundary}\r\n`;
-                body += `Content-Disposition: form-data; name="file"; filename="${fileName}"\r\n`;
-                body += 'Content-Type: application/json\r\n\r\n';
-                body += jsonString + '\r\n';
+                if (options.record) {
+                    recordEvent({
+                        type: 'log',
+                        payload: jsonPayload[0],
+                        file: {name: fileName, contentType: 'application/json', content: jsonString, encoding: 'utf8'}
+                    });
+                    return true;
+                }
 
-                // End boundary
-                body += `--${boundary}--\r\n`;
+                const {body, contentType} = buildMultipartBody(jsonPayload, [{
+                    name: fileName,
+                    content: jsonString,
+                    contentType: 'application/json'
+                }]);
 
                 const url = `${reportPortalUri}/log`;
 
-                console.log(`Sending request with manual Content-Type: multipart/form-data; boundary=${boundary}`);
-
-                const response = http.post(url, body, {
-                    headers: {
+                if (asyncReporting) {
+                    sendAsync('POST', url, body, createRequestParams(options, {
                         'Authorization': `Bearer ${token}`,
-                        'Content-Type': `multipart/form-data; boundary=${boundary}`
-                    }
-                });
+                        'Content-Type': contentType
+                    }), 'POST /log (JSON attachment)', () => dropEvent('attachment', fileName));
+                    return true;
+                }
+
+                console.log(`Sending request with manual Content-Type: ${contentType}`);
+
+                const response = requestWithRetry('POST', () => http.post(url, body, createRequestParams(options, {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': contentType
+                })), options);
+                breaker.record(response);
 
                 // Check for any success status code (200-299 range)
                 if (response.status < 200 || response.status >= 300) {
@@ -700,13 +1512,14 @@ export function createClient(launchId, options) {
                 return true;
             } catch (error) {
                 console.error(`Error creating JSON attachment: ${error.message}`);
-                this.error(itemId, `Failed to attach JSON: ${error.message}`);
+                dropEvent('attachment', fileName);
+                if (itemId) this.error(itemId, `Failed to attach JSON: ${error.message}`);
                 return false;
             }
         },
         /**
          * Logs a file attachment
-         * @param {string} itemId - Item ID to log against
+         * @param {string|null} itemId - Item ID to log against, null to log against the launch
          * @param {string|Uint8Array} fileContent - File content as string or binary data
          * @param {string} fileName - Name of the file
          * @param {string} contentType - MIME type of the file
@@ -714,20 +1527,23 @@ export function createClient(launchId, options) {
          * @returns {boolean} True if successful, false otherwise
          */
         attachment(itemId, fileContent, fileName, contentType, message = 'File Attachment') {
-            validate.notEmpty(itemId, 'Item ID');
+            validateLogTarget(itemId);
             validate.notEmpty(fileName, 'File name');
             validate.notEmpty(contentType, 'Content type');
 
             try {
+                // Text content is redacted, binary content is sent as it is
+                const text = typeof fileContent === 'string' ? redactText(fileContent, contentType) : null;
+
                 // Convert to base64 if needed
-                const content = typeof fileContent === 'string' ? base64Encode(fileContent) : base64Encode(String.fromCharCode(...new Uint8Array(fileContent)));
+                const content = text !== null ? base64Encode(text) : base64Encode(String.fromCharCode(...new Uint8Array(fileContent)));
 
                 const payload = {
-                    itemUuid: itemId,
+                    itemUuid: itemId || undefined,
                     time: Date.now(),
                     launchUuid: launchId,
                     level: LogLevel.INFO,
-                    message: message,
+                    message: redactor.text(message),
                     file: {
                         name: fileName,
                         content: content,
@@ -739,7 +1555,7 @@ export function createClient(launchId, options) {
                 return success;
             } catch (error) {
                 console.error(`Error creating file attachment: ${error.message}`);
-                this.error(itemId, `Failed to attach file: ${error.message}`);
+                if (itemId) this.error(itemId, `Failed to attach file: ${error.message}`);
                 return false;
             }
         },
@@ -773,7 +1589,7 @@ export function createClient(launchId, options) {
                 // Create steps if provided
                 if (test.steps && Array.isArray(test.steps)) {
                     test.steps.forEach(step => {
-                        const stepId = this.startStep(step.name, step.description, testId);
+                        const stepId = this.startStep(testId, step.name, step.description);
                         result.tests[test.name].steps[step.name] = stepId;
                     });
                 }
@@ -787,10 +1603,49 @@ export function createClient(launchId, options) {
          * @returns {Object|null} Launch status data or null on failure
          */
         getLaunchStatus() {
-            if (!launchId) return null;
+            return this.findLaunch().launch;
+        },
 
-            const {success, result} = makeRequest('GET', `/launch/${launchId}`);
-            return success ? result : null;
+        /**
+         * Looks up the current launch, telling a launch Report Portal has not saved yet from an unreachable
+         * Report Portal. With the asynchronous reporting API, call settle() first
+         * @returns {{launch: Object|null, reachable: boolean}} The launch, null with `reachable` set when Report
+         * Portal does not know the launch yet
+         */
+        findLaunch() {
+            if (!launchId) return {launch: null, reachable: true};
+
+            // Launch IDs are UUIDs, the numeric ID is only known by Report Portal
+            const {success, result, status} = makeRequest('GET', `/launch/uuid/${launchId}`);
+            return {launch: success ? result : null, reachable: success || status === 404};
+        },
+
+        /**
+         * Looks up the launch with the same name that was started before a launch
+         * @param {Object} launch - Launch from findLaunch
+         * @returns {{launch: Object|null, reachable: boolean}} The previous launch, null with `reachable` set when
+         * there is none
+         */
+        findPreviousLaunch(launch) {
+            const query = `filter.eq.name=${encodeURIComponent(launch.name)}&filter.lt.number=${launch.number}`
+                + '&page.sort=number,DESC&page.size=1';
+            const {success, result} = makeRequest('GET', `/launch?${query}`);
+            const previous = success && result.content && result.content.length > 0 ? result.content[0] : null;
+            return {launch: previous, reachable: success};
+        },
+
+        /**
+         * Gets the failed and interrupted tests of a launch
+         * @param {number} launchNumericId - Numeric ID of the launch, e.g. from findPreviousLaunch
+         * @returns {Array<Object>|null} Test items with their `name` and `testCaseId`, null on failure
+         */
+        getFailedTests(launchNumericId) {
+            validate.notEmpty(launchNumericId, 'Launch ID');
+
+            const query = `filter.eq.launchId=${launchNumericId}&filter.eq.type=${ItemType.TEST}`
+                + `&filter.in.status=${Status.FAILED},${Status.INTERRUPTED}&page.size=1000`;
+            const {success, result} = makeRequest('GET', `/item?${query}`);
+            return success ? (result.content || []) : null;
         },
 
         /**
@@ -817,10 +1672,46 @@ export function createReporter(options = {}) {
     const config = {...options};
     let launchId = null;
     let client = null;
+    let attached = false;
+
+    /**
+     * Runs the post-launch actions of the configuration on a finished launch:
+     * analysis, then merge, then waiting for Report Portal to process the resulting launch
+     * @returns {string} UUID of the resulting launch, the merged one if launches were merged
+     */
+    function runPostActions(finishedLaunchId) {
+        const {analyze, merge, waitForLaunch: wait} = config;
+        if (!finishedLaunchId || !config.publishResult || config.record || (!analyze && !merge && !wait)) {
+            return finishedLaunchId;
+        }
+
+        const waitOptions = typeof wait === 'object' ? wait : {};
+        let resultLaunchId = finishedLaunchId;
+
+        // Report Portal finishes launches asynchronously, analysis and merge need a finished launch
+        waitForLaunch(finishedLaunchId, config, waitOptions);
+
+        if (analyze) {
+            analyzeLaunch(finishedLaunchId, config, getAnalyzeOptions(analyze));
+            if (merge || wait) waitForLaunch(finishedLaunchId, config, waitOptions);
+        }
+
+        if (merge) {
+            const current = merge.includeCurrent !== false ? [finishedLaunchId] : [];
+            const launchUuids = [...new Set([...current, ...(merge.launches || [])])];
+            const merged = mergeLaunches(launchUuids, config, merge);
+            if (merged) {
+                resultLaunchId = merged.uuid || resultLaunchId;
+                console.log(`[RPClient] Merged ${launchUuids.length} launches into ${resultLaunchId}`);
+                if (wait) waitForLaunch(resultLaunchId, config, waitOptions);
+            }
+        }
+        return resultLaunchId;
+    }
 
     return {
         /**
-         * Starts reporting
+         * Starts reporting to a new launch
          * @returns {Object} Client instance
          */
         start() {
@@ -830,13 +1721,87 @@ export function createReporter(options = {}) {
         },
 
         /**
-         * Finishes reporting
-         * @param {string} [status=PASSED] - Final launch status
+         * Starts a launch shared by all VUs, call it in k6 `setup()` and pass the launch ID through the setup data
+         * @returns {string|null} Launch ID if successful, null otherwise
+         */
+        startLaunch() {
+            return startLaunch(config);
+        },
+
+        /**
+         * Starts reporting to a launch started by startLaunch, `finish()` then leaves the launch running
+         * @param {string|null} sharedLaunchId - Launch ID from the setup data
+         * @param {Object} [attachOptions] - Attach options
+         * @param {string} [attachOptions.group] - Name of a suite grouping the items of this iteration,
+         * `{vu}` and `{iteration}` are replaced with the k6 VU ID and iteration number
+         * @returns {Object} Client instance
+         */
+        attach(sharedLaunchId, attachOptions = {}) {
+            launchId = sharedLaunchId;
+            attached = true;
+            client = createClient(launchId, config);
+
+            if (attachOptions.group) {
+                client.startGroup(formatGroupName(attachOptions.group));
+            }
+            return client;
+        },
+
+        /**
+         * Finishes reporting, the launch is only finished if it was started by start().
+         * With `apiVersion: 2` the launch is finished once all pending requests have completed.
+         * The finished launch then goes through the post-launch actions of the configuration:
+         * `analyze` ('auto', 'pattern' or analyzeLaunch options), `merge` (mergeLaunches options with the
+         * `launches` to merge the launch with) and `waitForLaunch` (true or waitForLaunch options).
+         * `getLaunchId()` returns the merged launch afterwards.
+         * @param {string} [status=PASSED] - Final launch status, or group status when attached
+         * @returns {Promise<void>|undefined} Promise resolved once reporting is finished with `apiVersion: 2`
          */
         finish(status = Status.PASSED) {
-            if (launchId) {
-                finishLaunch(launchId, config, status);
+            const complete = () => {
+                if (launchId && !attached && finishLaunch(launchId, config, status)) {
+                    launchId = runPostActions(launchId);
+                }
+                if (client) {
+                    reportDroppedEvents(client.getDroppedEvents());
+                    if (client.getRedactionCount() > 0) {
+                        console.log(`[RPClient] ${client.getRedactionCount()} values were redacted before reporting`);
+                    }
+                }
+            };
+
+            if (client) {
+                client.finishGroup(status);
+                client.flush();
+            }
+            if (client && Number(config.apiVersion) === 2) {
+                return client.settle().then(complete);
             }
+            complete();
+        },
+
+        /**
+         * Finishes a launch started by startLaunch, call it in k6 `teardown()`
+         * @param {string|null} sharedLaunchId - Launch ID from the setup data
+         * @param {string|null} [status=null] - Final launch status, by default Report Portal works it out
+         * from the items reported by all VUs
+         * @param {Object|Array} [attributes] - Attributes added to the launch when it finishes
+         * @returns {boolean} True if successful, false otherwise
+         */
+        finishLaunch(sharedLaunchId, status = null, attributes) {
+            const finished = finishLaunch(sharedLaunchId, config, status, attributes);
+            if (finished) runPostActions(sharedLaunchId);
+            return finished;
+        },
+
+        /**
+         * Merges finished launches into a new launch, e.g. from a CI job run after all shards
+         * @param {string[]} launchUuids - UUIDs of the launches to merge
+         * @param {Object} [mergeOptions] - Merge options, see mergeLaunches
+         * @returns {Object|null} Merged launch with its `id` and `uuid`, null on failure
+         */
+        mergeLaunches(launchUuids, mergeOptions = {}) {
+            return mergeLaunches(launchUuids, config, mergeOptions);
         },
 
         /**
@@ -858,6 +1823,44 @@ export function createReporter(options = {}) {
 }
 
 
+/**
+ * Replaces the `{vu}` and `{iteration}` placeholders of a group name
+ * @param {string} template - Group name template
+ * @returns {string} Group name
+ * @private
+ */
+function formatGroupName(template) {
+    return template
+        .replace(/\{vu}/g, String(exec.vu.idInTest))
+        .replace(/\{iteration}/g, String(exec.vu.iterationInScenario));
+}
+
+/**
+ * Converts the `analyze` option to analysis options: true or 'auto' for auto-analysis, 'pattern' for pattern
+ * analysis, or an object with the options of analyzeLaunch
+ * @private
+ */
+function getAnalyzeOptions(analyze) {
+    if (analyze === 'pattern' || analyze === AnalyzerType.PATTERN) {
+        return {analyzer: AnalyzerType.PATTERN};
+    }
+    return typeof analyze === 'object' ? analyze : {analyzer: AnalyzerType.AUTO};
+}
+
+/**
+ * Prints a summary of the events that did not reach Report Portal
+ * @param {Object<string, number>} droppedEvents - Dropped event counts by event type
+ * @private
+ */
+function reportDroppedEvents(droppedEvents) {
+    const entries = Object.entries(droppedEvents);
+    if (entries.length === 0) return;
+
+    const total = entries.reduce((sum, [, count]) => sum + count, 0);
+    const details = entries.map(([type, count]) => `${type}: ${count}`).join(', ');
+    console.error(`[RPClient] ${total} events were not reported to Report Portal (${details})`);
+}
+
 /**
  * Generates a simple UUID v4
  * @returns {string} UUID string
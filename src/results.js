@@ -0,0 +1,292 @@
+import {ItemType, LogLevel, Status} from './report-portal-client.js';
+
+/**
+ * Creates a collector building a result tree from the items reported by the runner.
+ * The collector observes the reporter client, so results are collected whether or not they are
+ * published to Report Portal.
+ * @returns {{observe: function(Object): Object, getResults: function(): Object}} Result collector
+ */
+export function createResultCollector() {
+    const startTime = Date.now();
+    const suites = [];
+    const items = new Map();
+    // Reports are written to files, so they are redacted like what is sent to Report Portal
+    let redact = data => data;
+
+    function addItem(id, params) {
+        const now = Date.now();
+        const item = {
+            name: redact(params.name),
+            type: params.type,
+            description: redact(params.description || ''),
+            attributes: redact(params.attributes || {}),
+            parameters: redact(params.parameters),
+            codeRef: params.codeRef || null,
+            testCaseId: redact(params.testCaseId || null),
+            status: null,
+            error: null,
+            issue: null,
+            attempts: 1,
+            startTime: now,
+            endTime: null,
+            duration: 0,
+            children: []
+        };
+
+        // A retried test replaces its previous attempt in the tree
+        const previous = params.retryOf ? items.get(params.retryOf) : null;
+        if (previous) {
+            item.attempts = previous.attempts + 1;
+            item.startTime = previous.startTime;
+            replace(previous, item);
+        } else if (params.parentId && items.has(params.parentId)) {
+            items.get(params.parentId).children.push(item);
+        } else {
+            suites.push(item);
+        }
+
+        items.set(id, item);
+    }
+
+    function replace(previous, item) {
+        const parent = [...items.values()].find(candidate => candidate.children.includes(previous));
+        const siblings = parent ? parent.children : suites;
+        siblings[siblings.indexOf(previous)] = item;
+    }
+
+    function finish(id, status, issueType, comment) {
+        const item = items.get(id);
+        if (!item) return;
+
+        item.status = String(status || Status.PASSED).toUpperCase();
+        item.endTime = Date.now();
+        item.duration = item.endTime - item.startTime;
+        if (issueType) {
+            item.issue = {issueType, comment: comment ? redact(comment) : null};
+        }
+    }
+
+    return {
+        /**
+         * Wraps a reporter client so the items and errors it reports are collected, redacted with the rules of
+         * the client
+         * @param {Object} client Client returned by `reporter.start()`
+         * @returns {Object} Client collecting the results
+         */
+        observe(client) {
+            const observed = Object.create(client);
+            if (client.redact) {
+                redact = data => client.redact(data);
+            }
+
+            observed.startItem = function (params) {
+                const id = client.startItem.call(this, params);
+                addItem(id, params);
+                return id;
+            };
+            observed.startStep = function (testId, name, description) {
+                const id = client.startStep.call(this, testId, name, description);
+                addItem(id, {name, description, type: ItemType.STEP, parentId: testId});
+                return id;
+            };
+            observed.finishItem = function (id, status, issueType, comment, externalIssues) {
+                finish(id, status, issueType, comment);
+                return client.finishItem.call(this, id, status, issueType, comment, externalIssues);
+            };
+            observed.finishStep = function (stepId, status, issueType, comment, externalIssues) {
+                finish(stepId, status, issueType, comment);
+                return client.finishStep.call(this, stepId, status, issueType, comment, externalIssues);
+            };
+            observed.log = function (itemId, message, level) {
+                const item = items.get(itemId);
+                if (item && (level === LogLevel.ERROR || level === LogLevel.FATAL)) {
+                    item.error = redact(message);
+                }
+                return client.log.call(this, itemId, message, level);
+            };
+
+            return observed;
+        },
+
+        /**
+         * Gets the result tree collected so far
+         * @returns {{startTime: number, endTime: number, duration: number, suites: Array<Object>}} Result tree
+         */
+        getResults() {
+            const endTime = Date.now();
+            return {startTime, endTime, duration: endTime - startTime, suites};
+        }
+    };
+}
+
+/**
+ * Formats results as a JUnit XML report, e.g. for k6 `handleSummary`.
+ * Tests become test cases, steps are listed in their `system-out`, failed lifecycle hooks are reported as errors.
+ * The priority, service and features attributes become test case properties.
+ * @param {Object|Array<Object>} results Result tree returned by `runSuites`, or a list of them
+ * @returns {string} JUnit XML document
+ */
+export function junitReport(results) {
+    const suites = toResultList(results).flatMap(result => result.suites);
+    const counts = {tests: 0, failures: 0, errors: 0, skipped: 0, time: 0};
+    const testSuites = suites.map(suite => {
+        const suiteXml = formatJUnitSuite(suite);
+        Object.keys(counts).forEach(key => {
+            counts[key] += suiteXml.counts[key];
+        });
+        return suiteXml.xml;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites${formatXmlAttributes({...counts, time: toSeconds(counts.time)})}>`,
+        ...testSuites,
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Formats results as a JSON report, e.g. for k6 `handleSummary`
+ * @param {Object|Array<Object>} results Result tree returned by `runSuites`, or a list of them
+ * @returns {string} JSON document
+ */
+export function jsonReport(results) {
+    const list = toResultList(results);
+    return JSON.stringify(Array.isArray(results) ? list : list[0], null, 2);
+}
+
+/** @private */
+function toResultList(results) {
+    if (!results) return [];
+    return (Array.isArray(results) ? results : [results]).filter(Boolean);
+}
+
+/**
+ * Formats a suite and its test cases as a JUnit `testsuite` element
+ * @private
+ */
+function formatJUnitSuite(suite) {
+    const testCases = suite.children.filter(item =>
+        item.type === ItemType.TEST || (isFailed(item.status) && item.type !== ItemType.STEP));
+    const counts = {tests: testCases.length, failures: 0, errors: 0, skipped: 0, time: suite.duration};
+
+    const testCasesXml = testCases.map(item => {
+        const attributes = formatXmlAttributes({
+            name: item.name,
+            classname: suite.name,
+            time: toSeconds(item.duration)
+        });
+        const body = [];
+
+        const properties = formatJUnitProperties(item);
+        if (properties) body.push(properties);
+
+        if (item.type !== ItemType.TEST) {
+            counts.errors++;
+            body.push(`      <error${formatXmlAttributes({message: item.error || `${item.name} failed`})}/>`);
+        } else if (item.status === Status.FAILED) {
+            counts.failures++;
+            body.push(`      <failure${formatXmlAttributes({message: item.error || 'Test failed'})}/>`);
+        } else if (item.status === Status.INTERRUPTED) {
+            counts.errors++;
+            body.push(`      <error${formatXmlAttributes({message: item.error || 'Test interrupted'})}/>`);
+        } else if (item.status === Status.SKIPPED) {
+            counts.skipped++;
+            const message = item.issue && item.issue.comment;
+            body.push(`      <skipped${message ? formatXmlAttributes({message}) : ''}/>`);
+        }
+
+        const steps = formatSteps(item.children, '');
+        if (steps) {
+            body.push(`      <system-out>${escapeXml(steps)}</system-out>`);
+        }
+
+        return body.length > 0
+            ? [`    <testcase${attributes}>`, ...body, '    </testcase>'].join('\n')
+            : `    <testcase${attributes}/>`;
+    });
+
+    const suiteAttributes = formatXmlAttributes({
+        name: suite.name,
+        tests: counts.tests,
+        failures: counts.failures,
+        errors: counts.errors,
+        skipped: counts.skipped,
+        time: toSeconds(suite.duration),
+        timestamp: new Date(suite.startTime).toISOString()
+    });
+
+    return {
+        counts,
+        xml: [`  <testsuite${suiteAttributes}>`, ...testCasesXml, '  </testsuite>'].join('\n')
+    };
+}
+
+/**
+ * Formats the priority, service, features and parameters of a test as JUnit properties
+ * @private
+ */
+function formatJUnitProperties(item) {
+    const {priority, service, features} = item.attributes;
+    const properties = [];
+
+    if (priority) properties.push(['priority', priority]);
+    if (service) properties.push(['service', service]);
+    [].concat(features || []).forEach(feature => properties.push(['feature', feature]));
+    if (item.parameters) {
+        Object.entries(item.parameters).forEach(([key, value]) => properties.push([
+            `parameter.${key}`,
+            value !== null && typeof value === 'object' ? JSON.stringify(value) : value
+        ]));
+    }
+    if (item.attempts > 1) properties.push(['attempts', item.attempts]);
+
+    if (properties.length === 0) return null;
+
+    return [
+        '      <properties>',
+        ...properties.map(([name, value]) => `        <property${formatXmlAttributes({name, value})}/>`),
+        '      </properties>'
+    ].join('\n');
+}
+
+/**
+ * Formats nested steps as an indented text outline
+ * @private
+ */
+function formatSteps(steps, indent) {
+    return steps.map(step => {
+        const line = `${indent}[${step.status || 'NOT FINISHED'}] ${step.name} (${step.duration}ms)`
+            + (step.error ? `: ${step.error}` : '');
+        const children = formatSteps(step.children, `${indent}  `);
+        return children ? `${line}\n${children}` : line;
+    }).join('\n');
+}
+
+/** @private */
+function isFailed(status) {
+    return status === Status.FAILED || status === Status.INTERRUPTED;
+}
+
+/** @private */
+function toSeconds(milliseconds) {
+    return (milliseconds / 1000).toFixed(3);
+}
+
+/** @private */
+function formatXmlAttributes(attributes) {
+    return Object.entries(attributes)
+        .map(([key, value]) => ` ${key}="${escapeXml(String(value))}"`)
+        .join('');
+}
+
+/** @private */
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
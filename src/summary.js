@@ -0,0 +1,154 @@
+import {createReporter, ItemType, Status} from './report-portal-client.js';
+
+/**
+ * Metrics added to the launch as attributes by default
+ * @type {Array<{key: string, metric: string, stat: string}>}
+ */
+export const DEFAULT_SUMMARY_ATTRIBUTES = [
+    {key: 'p95', metric: 'http_req_duration', stat: 'p(95)'},
+    {key: 'error_rate', metric: 'http_req_failed', stat: 'rate'},
+    {key: 'checks', metric: 'checks', stat: 'rate'},
+    {key: 'iterations', metric: 'iterations', stat: 'count'}
+];
+
+/**
+ * Reports the k6 end-of-test summary to Report Portal, call it from `handleSummary`.
+ * The summary is attached as JSON and HTML to the launch, every threshold is reported as a test under
+ * a "k6 summary" suite, key metrics are added to the launch as attributes and the launch is finished.
+ * @param {Object} data Summary data passed to `handleSummary`
+ * @param {Object} reporterConfig Reporter configuration, see createReporter
+ * @param {Object} [options] Summary options
+ * @param {string} [options.launchId] Launch to report into, defaults to `data.setup_data.launchId` and
+ * starts a new launch if there is none
+ * @param {boolean} [options.failOnThresholds=true] Fail the launch when a threshold failed
+ * @param {Array<{key: string, metric: string, stat: string}>} [options.attributes] Metrics added as launch
+ * attributes, defaults to DEFAULT_SUMMARY_ATTRIBUTES
+ * @returns {{launchId: string|null, failedThresholds: string[]}} Launch reported into and failed thresholds
+ */
+export function reportSummary(data, reporterConfig, options = {}) {
+    const failOnThresholds = options.failOnThresholds !== undefined ? options.failOnThresholds : true;
+    const setupData = data.setup_data || {};
+
+    // handleSummary cannot wait for asynchronous requests, so the summary is always reported synchronously
+    const reporter = createReporter({...reporterConfig, apiVersion: 1});
+    const launchId = options.launchId || setupData.launchId || reporter.startLaunch();
+    const client = reporter.attach(launchId);
+
+    // The summary goes to the launch itself, the suite only holds the threshold items
+    client.json(null, data, 'k6-summary.json', 'k6 end-of-test summary');
+    client.attachment(null, formatSummaryHtml(data), 'k6-summary.html', 'text/html', 'k6 end-of-test summary');
+
+    const failedThresholds = reportThresholds(client, data.metrics || {});
+    reporter.finish();
+
+    const status = failedThresholds.length > 0 && failOnThresholds ? Status.FAILED : null;
+    reporter.finishLaunch(launchId, status, formatMetricAttributes(data.metrics || {},
+        options.attributes || DEFAULT_SUMMARY_ATTRIBUTES));
+
+    return {launchId, failedThresholds};
+}
+
+/**
+ * Reports a test per threshold under a `k6 summary` suite, started only if there are thresholds
+ * @returns {string[]} Names of the failed thresholds
+ * @private
+ */
+function reportThresholds(client, metrics) {
+    const failed = [];
+    const hasThresholds = Object.values(metrics).some(metric => Object.keys(metric.thresholds || {}).length > 0);
+    if (!hasThresholds) return failed;
+
+    const suiteId = client.startSuite('k6 summary', 'k6 thresholds', {}, {testCaseId: 'k6.summary'});
+
+    for (const [metricName, metric] of Object.entries(metrics)) {
+        for (const [expression, threshold] of Object.entries(metric.thresholds || {})) {
+            const name = `${metricName}: ${expression}`;
+            const testId = client.startItem({
+                name,
+                type: ItemType.TEST,
+                description: `k6 threshold on ${metricName}`,
+                attributes: {metric: metricName},
+                parentId: suiteId,
+                testCaseId: `k6.summary.${name}`
+            });
+
+            const values = Object.entries(metric.values || {})
+                .map(([stat, value]) => `${stat}=${formatMetricValue(metric, stat, value)}`)
+                .join(', ');
+
+            if (threshold.ok) {
+                client.info(testId, `Threshold passed, ${values}`);
+                client.finishTest(testId, Status.PASSED);
+            } else {
+                failed.push(name);
+                client.error(testId, `Threshold failed, ${values}`);
+                client.finishTest(testId, Status.FAILED);
+            }
+        }
+    }
+
+    client.finishSuite(suiteId, failed.length > 0 ? Status.FAILED : Status.PASSED);
+    return failed;
+}
+
+/**
+ * Builds launch attributes from summary metrics, metrics that were not collected are left out
+ * @private
+ */
+function formatMetricAttributes(metrics, attributes) {
+    return attributes.reduce((result, {key, metric, stat}) => {
+        const values = metrics[metric] && metrics[metric].values;
+        if (values && values[stat] !== undefined) {
+            result[key] = formatMetricValue(metrics[metric], stat, values[stat]);
+        }
+        return result;
+    }, {});
+}
+
+/**
+ * Formats a metric value, durations in milliseconds and rates as percentages
+ * @private
+ */
+function formatMetricValue(metric, stat, value) {
+    if (metric.type === 'rate' && stat === 'rate') {
+        return `${(value * 100).toFixed(2)}%`;
+    }
+    if (metric.type === 'trend' && metric.contains === 'time') {
+        return `${Number(value).toFixed(2)}ms`;
+    }
+    return Number.isInteger(value) ? String(value) : Number(value).toFixed(2);
+}
+
+/**
+ * Formats the summary metrics and thresholds as an HTML table
+ * @private
+ */
+function formatSummaryHtml(data) {
+    const rows = Object.entries(data.metrics || {}).map(([name, metric]) => {
+        const values = Object.entries(metric.values || {})
+            .map(([stat, value]) => `${stat}=${formatMetricValue(metric, stat, value)}`)
+            .join(', ');
+        const thresholds = Object.entries(metric.thresholds || {})
+            .map(([expression, threshold]) => `${threshold.ok ? '&#10004;' : '&#10008;'} ${escapeHtml(expression)}`)
+            .join('<br>');
+        return `<tr><td>${escapeHtml(name)}</td><td>${escapeHtml(values)}</td><td>${thresholds}</td></tr>`;
+    });
+
+    return [
+        '<!DOCTYPE html>',
+        '<html><head><meta charset="utf-8"><title>k6 summary</title></head><body>',
+        '<table border="1" cellpadding="4" cellspacing="0">',
+        '<tr><th>Metric</th><th>Values</th><th>Thresholds</th></tr>',
+        ...rows,
+        '</table>',
+        '</body></html>'
+    ].join('\n');
+}
+
+/** @private */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
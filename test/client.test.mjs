@@ -0,0 +1,295 @@
+import {afterEach, beforeEach, describe, it, mock} from 'node:test';
+import assert from 'node:assert/strict';
+import {sleeps} from 'k6';
+import {reportPortal} from './fake-report-portal.mjs';
+import {createReporter, LogLevel} from '../src/report-portal-client.js';
+
+const CONFIG = {
+    endpoint: 'http://rp.test',
+    project: 'k6',
+    token: 'token',
+    launch: 'Client',
+    publishResult: true,
+    systemAttributes: false
+};
+
+/**
+ * Starts a launch on the fake Report Portal with a suite and a test to report into
+ */
+function start(options = {}) {
+    const reporter = createReporter({...CONFIG, ...options});
+    const client = reporter.start();
+    const suiteId = client.startSuite('Suite');
+    const testId = client.startTest('Test', '', {}, suiteId);
+    return {reporter, client, suiteId, testId};
+}
+
+const wait = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+const routes = () => reportPortal.requests.map(({method, path}) => `${method} ${path}`);
+
+describe('Report Portal client', () => {
+    beforeEach(() => {
+        reportPortal.reset();
+        sleeps.length = 0;
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+    afterEach(() => mock.restoreAll());
+
+    describe('log batching', () => {
+        it('sends a log request per message without buffering', () => {
+            const {client, testId} = start();
+            client.info(testId, 'First');
+            client.info(testId, 'Second');
+
+            const requests = reportPortal.requestsTo('POST', '/log');
+            assert.deepEqual(requests.map(request => request.body.message), ['First', 'Second']);
+        });
+
+        it('sends the queued messages as one multipart request once the batch is full', () => {
+            const {client, testId} = start({bufferLogs: true, logBatchSize: 3});
+            ['One', 'Two', 'Three', 'Four', 'Five'].forEach(message => client.info(testId, message));
+
+            assert.deepEqual(reportPortal.logBatches.map(batch => batch.map(log => log.message)),
+                [['One', 'Two', 'Three']]);
+            const [request] = reportPortal.requestsTo('POST', '/log');
+            assert.match(request.params.headers['Content-Type'], /^multipart\/form-data; boundary=/);
+            assert.ok(request.body.logs.every(log => log.itemUuid === testId && log.level === LogLevel.INFO));
+
+            client.flush();
+            assert.deepEqual(reportPortal.logBatches.map(batch => batch.length), [3, 2]);
+        });
+
+        it('sends the queued messages of an item before finishing it', () => {
+            const {client, testId} = start({bufferLogs: true});
+            client.info(testId, 'Queued');
+            client.finishTest(testId);
+
+            assert.deepEqual(routes().slice(-2), ['POST /log', `PUT /item/${testId}`]);
+            assert.equal(reportPortal.logs[0].message, 'Queued');
+        });
+
+        it('flushes a queue older than the flush interval on the next item event', async () => {
+            const {client, testId} = start({bufferLogs: true, logFlushInterval: '20ms'});
+            client.info(testId, 'Waiting');
+            assert.equal(reportPortal.logs.length, 0);
+
+            await wait(30);
+            const stepId = client.startStep(testId, 'Step');
+
+            assert.deepEqual(reportPortal.logs.map(log => log.message), ['Waiting']);
+            assert.deepEqual(routes().slice(-2), ['POST /log', `POST /item/${testId}`]);
+            assert.equal(reportPortal.items().at(-1).uuid, stepId);
+        });
+
+        it('flushes a queue older than the flush interval on the next message', async () => {
+            const {client, testId} = start({bufferLogs: true, logFlushInterval: '20ms'});
+            client.info(testId, 'First');
+            await wait(30);
+            client.info(testId, 'Second');
+
+            assert.deepEqual(reportPortal.logBatches.map(batch => batch.map(log => log.message)),
+                [['First', 'Second']]);
+        });
+
+        it('keeps a fresh queue until it is full', () => {
+            const {client, suiteId, testId} = start({bufferLogs: true, logFlushInterval: '1m'});
+            client.info(testId, 'Fresh');
+            client.startTest('Next', '', {}, suiteId);
+
+            assert.equal(reportPortal.logs.length, 0);
+        });
+    });
+
+    describe('transport', () => {
+        /**
+         * Answers the requests sent from now on with a status, returns the requests sent since
+         */
+        function failFromNow(method, path, status, times = Infinity) {
+            const from = reportPortal.requests.length;
+            let failures = 0;
+            reportPortal.intercept(request => (request.method === method && path.test(request.path)
+                && failures++ < times ? {status} : undefined));
+            return () => reportPortal.requests.slice(from);
+        }
+
+        it('retries transient failures of idempotent requests with exponential backoff', () => {
+            const {client, testId} = start({requestRetryDelay: '10ms'});
+            const sent = failFromNow('PUT', /^\/item\//, 503, 2);
+
+            assert.equal(client.finishTest(testId), true);
+            assert.equal(sent().length, 3);
+            assert.deepEqual(sleeps, [0.01, 0.02]);
+            assert.equal(reportPortal.item('Test').finished, true);
+        });
+
+        it('gives up after the configured retries', () => {
+            const {client, testId} = start({requestRetries: 1, requestRetryDelay: '10ms'});
+            const sent = failFromNow('PUT', /^\/item\//, 502);
+
+            assert.equal(client.finishTest(testId), false);
+            assert.equal(sent().length, 2);
+            assert.deepEqual(sleeps, [0.01]);
+        });
+
+        it('retries a request that threw like a network error', () => {
+            const {client, testId} = start({requestRetryDelay: '10ms'});
+            let thrown = false;
+            reportPortal.intercept(() => {
+                if (thrown) return undefined;
+                thrown = true;
+                throw new Error('connection refused');
+            });
+
+            assert.equal(client.getItemStatus(testId).name, 'Test');
+            assert.deepEqual(sleeps, [0.01]);
+        });
+
+        it('does not retry a POST, which could report an item twice', () => {
+            const {client, testId} = start({requestRetryDelay: '10ms'});
+            const sent = failFromNow('POST', /^\/item\//, 503);
+
+            client.startStep(testId, 'Step');
+            assert.equal(sent().length, 1);
+            assert.deepEqual(sleeps, []);
+        });
+
+        it('retries a POST with retryNonIdempotent', () => {
+            const {client, testId} = start({requestRetryDelay: '10ms', retryNonIdempotent: true});
+            const sent = failFromNow('POST', /^\/item\//, 503, 1);
+
+            client.startStep(testId, 'Step');
+            assert.equal(sent().length, 2);
+            assert.deepEqual(sleeps, [0.01]);
+            assert.ok(reportPortal.item('Step'));
+        });
+
+        it('does not retry a rejected request', () => {
+            const {client, testId} = start({requestRetryDelay: '10ms'});
+            const sent = failFromNow('PUT', /^\/item\//, 400);
+
+            assert.equal(client.finishTest(testId), false);
+            assert.equal(sent().length, 1);
+        });
+
+        it('drops the events of an item that could not be started', () => {
+            const {client, testId} = start();
+            const sent = failFromNow('POST', /^\/item\//, 400, 1);
+
+            const stepId = client.startStep(testId, 'Step');
+            client.info(stepId, 'Not sent');
+            client.finishStep(stepId);
+
+            assert.equal(sent().length, 1);
+            assert.deepEqual(client.getDroppedEvents(), {startItem: 1, log: 1, finishItem: 1});
+        });
+
+        it('stops reporting once consecutive failures open the circuit breaker', () => {
+            const {client, testId} = start({requestRetries: 0, circuitBreakerThreshold: 3});
+            const sent = failFromNow('POST', /^\/log$/, 503);
+
+            ['One', 'Two', 'Three', 'Four', 'Five'].forEach(message => client.info(testId, message));
+            client.finishTest(testId);
+
+            assert.equal(client.isOffline(), true);
+            assert.equal(sent().length, 3);
+            assert.deepEqual(client.getDroppedEvents(), {log: 5, finishItem: 1});
+            assert.ok(console.log.mock.calls.some(call => call.arguments[0]
+                === '[RPClient offline] Not reported log: [INFO] Five'));
+        });
+
+        it('only counts consecutive failures', () => {
+            const {client, testId} = start({requestRetries: 0, circuitBreakerThreshold: 3});
+            const statuses = [503, 503, 201, 503, 503];
+            reportPortal.intercept(() => {
+                const status = statuses.shift();
+                return status === 503 ? {status} : undefined;
+            });
+
+            ['One', 'Two', 'Three', 'Four', 'Five'].forEach(message => client.info(testId, message));
+            assert.equal(client.isOffline(), false);
+            assert.deepEqual(client.getDroppedEvents(), {log: 4});
+        });
+
+        it('reports the dropped events when reporting is finished', () => {
+            const {reporter, client, testId} = start({requestRetries: 0, circuitBreakerThreshold: 1});
+            failFromNow('POST', /^\/log$/, 500);
+
+            client.info(testId, 'Lost');
+            client.info(testId, 'Also lost');
+            reporter.finish();
+
+            assert.ok(console.error.mock.calls.some(call => call.arguments[0]
+                === '[RPClient] 2 events were not reported to Report Portal (log: 2)'));
+        });
+
+        it('is offline from the start when the launch could not be started', () => {
+            failFromNow('POST', /^\/launch$/, 500);
+            const client = createReporter({...CONFIG, requestRetries: 0}).start();
+
+            client.startSuite('Suite');
+            assert.equal(client.isOffline(), true);
+            assert.deepEqual(routes(), ['POST /launch']);
+            assert.deepEqual(client.getDroppedEvents(), {startItem: 1});
+        });
+    });
+
+    describe('asynchronous reporting', () => {
+        it('sends the item and log requests to API v2 without waiting for them', async () => {
+            const {client, testId} = start({apiVersion: 2});
+            const stepId = client.startStep(testId, 'Step');
+            client.info(stepId, 'Sent in the background');
+
+            assert.equal(reportPortal.item('Step'), undefined);
+            await client.settle();
+
+            assert.equal(reportPortal.item('Step').uuid, stepId);
+            assert.equal(reportPortal.logs[0].itemUuid, stepId);
+            assert.ok(reportPortal.requestsTo('POST', /^\/(item|log)/).every(request => request.apiVersion === 2));
+        });
+
+        it('reads from API v1 and waits for the answer', async () => {
+            const {client, testId} = start({apiVersion: 2});
+            await client.settle();
+
+            assert.equal(client.getItemStatus(testId).name, 'Test');
+            assert.equal(reportPortal.requests.at(-1).apiVersion, 1);
+        });
+
+        it('finishes the launch once every pending request has completed', async () => {
+            const {reporter, client, testId} = start({apiVersion: 2});
+            client.info(testId, 'Last message');
+            client.finishTest(testId);
+
+            const finished = reporter.finish();
+            assert.ok(finished instanceof Promise);
+            assert.equal(reportPortal.launches[0].finished, false);
+
+            await finished;
+            const finish = routes().indexOf(`PUT /launch/${reporter.getLaunchId()}/finish`);
+            assert.equal(finish, routes().length - 1);
+            assert.equal(reportPortal.launches[0].finished, true);
+            assert.equal(reportPortal.item('Test').finished, true);
+        });
+
+        it('retries without blocking the VU and counts the requests that failed', async () => {
+            const {client, suiteId, testId} = start({apiVersion: 2, requestRetryDelay: '10ms'});
+            await client.settle();
+            let finishFailures = 0;
+            reportPortal.intercept(({method, path}) => {
+                if (method === 'PUT' && finishFailures++ < 1) return {status: 503};
+                if (method === 'POST' && path === `/item/${suiteId}`) return {status: 400};
+                return undefined;
+            });
+
+            client.finishTest(testId);
+            client.startTest('Rejected', '', {}, suiteId);
+            await client.settle();
+
+            assert.equal(reportPortal.requestsTo('PUT', `/item/${testId}`).length, 2);
+            assert.deepEqual(sleeps, []);
+            assert.equal(reportPortal.item('Test').finished, true);
+            assert.deepEqual(client.getDroppedEvents(), {startItem: 1});
+        });
+    });
+});
@@ -0,0 +1,121 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {classifyDefect, DEFAULT_DEFECT_RULES, findKnownIssues, knownIssueDefect} from '../src/defects.js';
+import {DefectType} from '../src/report-portal-client.js';
+
+class TimeoutError extends Error {}
+
+const httpError = (status, message = `Request failed with status ${status}`) =>
+    Object.assign(new Error(message), {status});
+
+describe('classifyDefect', () => {
+    it('classifies with the default rules', () => {
+        assert.deepEqual(classifyDefect(new TimeoutError('after 5s'), DEFAULT_DEFECT_RULES),
+            {issueType: DefectType.SYSTEM_ISSUE, comment: 'Timed out: after 5s'});
+        assert.equal(classifyDefect(httpError(503), DEFAULT_DEFECT_RULES).issueType, DefectType.SYSTEM_ISSUE);
+        assert.equal(classifyDefect(httpError(0), DEFAULT_DEFECT_RULES).comment,
+            'Network error: Request failed with status 0');
+        assert.equal(classifyDefect(Object.assign(new Error('1 check(s) failed'), {name: 'CheckFailedError'}),
+            DEFAULT_DEFECT_RULES).issueType, DefectType.PRODUCT_BUG);
+    });
+
+    it('leaves errors no rule matches To Investigate', () => {
+        assert.deepEqual(classifyDefect(new Error('unexpected'), DEFAULT_DEFECT_RULES),
+            {issueType: DefectType.TO_INVESTIGATE, comment: 'unexpected'});
+        assert.equal(classifyDefect(httpError(404), DEFAULT_DEFECT_RULES).issueType, DefectType.TO_INVESTIGATE);
+    });
+
+    it('applies the first matching rule', () => {
+        const rules = [
+            {type: DefectType.AUTOMATION_BUG, message: 'selector'},
+            {type: DefectType.PRODUCT_BUG, message: /selector|element/}
+        ];
+
+        assert.equal(classifyDefect(new Error('bad selector'), rules).issueType, DefectType.AUTOMATION_BUG);
+        assert.equal(classifyDefect(new Error('no element'), rules).issueType, DefectType.PRODUCT_BUG);
+    });
+
+    it('requires every condition of a rule to match', () => {
+        const rules = [{type: DefectType.PRODUCT_BUG, errorType: 'Error', status: 409, message: 'conflict'}];
+
+        assert.equal(classifyDefect(httpError(409, 'conflict'), rules).issueType, DefectType.PRODUCT_BUG);
+        assert.equal(classifyDefect(httpError(409, 'busy'), rules).issueType, DefectType.TO_INVESTIGATE);
+        assert.equal(classifyDefect(httpError(400, 'conflict'), rules).issueType, DefectType.TO_INVESTIGATE);
+    });
+
+    it('matches error types by name, class name or class', () => {
+        const error = new TimeoutError('slow');
+
+        assert.equal(classifyDefect(error, [{type: DefectType.SYSTEM_ISSUE, errorType: 'TimeoutError'}]).issueType,
+            DefectType.SYSTEM_ISSUE);
+        assert.equal(classifyDefect(error, [{type: DefectType.SYSTEM_ISSUE, errorType: [RangeError, Error]}])
+            .issueType, DefectType.SYSTEM_ISSUE);
+    });
+
+    it('reads the status from the error response, then from the last response of the test', () => {
+        const rules = [{type: DefectType.SYSTEM_ISSUE, status: [{min: 500, max: 599}, 429]}];
+
+        assert.equal(classifyDefect(Object.assign(new Error('x'), {response: {status: 429}}), rules).issueType,
+            DefectType.SYSTEM_ISSUE);
+        assert.equal(classifyDefect(new Error('x'), rules, {response: {status: 502}}).issueType,
+            DefectType.SYSTEM_ISSUE);
+        assert.equal(classifyDefect(new Error('x'), rules).issueType, DefectType.TO_INVESTIGATE);
+    });
+
+    it('calls the when predicate with the error and the context', () => {
+        const rules = [{type: DefectType.NO_DEFECT, when: (error, {testMetadata}) => testMetadata.flaky}];
+
+        assert.equal(classifyDefect(new Error('x'), rules, {testMetadata: {flaky: true}}).issueType,
+            DefectType.NO_DEFECT);
+        assert.equal(classifyDefect(new Error('x'), rules, {testMetadata: {}}).issueType, DefectType.TO_INVESTIGATE);
+    });
+
+    it('accepts thrown values that are not errors', () => {
+        assert.deepEqual(classifyDefect('plain failure', [{type: DefectType.PRODUCT_BUG, message: 'plain'}]),
+            {issueType: DefectType.PRODUCT_BUG, comment: 'plain failure'});
+    });
+});
+
+describe('findKnownIssues', () => {
+    it('collects the issues of the test and of the launch-wide map', () => {
+        const knownIssues = {
+            'Create policy': {id: 'BUG-1'},
+            'Policies > Create policy': [{id: 'BUG-2'}],
+            testCreate: {id: 'BUG-3'},
+            'Other test': {id: 'BUG-4'}
+        };
+        const issues = findKnownIssues({name: 'Create policy', knownIssue: {id: 'BUG-0'}},
+            {methodName: 'testCreate', suiteName: 'Policies', knownIssues});
+
+        assert.deepEqual(issues.map(issue => issue.id), ['BUG-0', 'BUG-1', 'BUG-2', 'BUG-3']);
+    });
+
+    it('finds no issues for a test without any', () => {
+        assert.deepEqual(findKnownIssues({name: 'Create policy'}, {methodName: 'testCreate', suiteName: 'Policies'}),
+            []);
+    });
+});
+
+describe('knownIssueDefect', () => {
+    it('links every known issue to the bug tracker', () => {
+        const issue = knownIssueDefect([{id: 'BUG-1', url: 'https://jira/BUG-1'}, {id: 'BUG-2', btsProject: 'OPS'}],
+            new Error('boom'), {url: 'https://jira', project: 'POL'});
+
+        assert.deepEqual(issue, {
+            issueType: DefectType.PRODUCT_BUG,
+            comment: 'Known issue BUG-1, BUG-2: boom',
+            externalIssues: [
+                {ticketId: 'BUG-1', url: 'https://jira/BUG-1', btsUrl: 'https://jira', btsProject: 'POL'},
+                {ticketId: 'BUG-2', url: undefined, btsUrl: 'https://jira', btsProject: 'OPS'}
+            ]
+        });
+    });
+
+    it('uses the defect type and comment of the first issue', () => {
+        const issue = knownIssueDefect([{id: 'ENV-1', defectType: DefectType.SYSTEM_ISSUE, comment: 'Known outage'}],
+            new Error('boom'));
+
+        assert.equal(issue.issueType, DefectType.SYSTEM_ISSUE);
+        assert.equal(issue.comment, 'Known outage');
+    });
+});
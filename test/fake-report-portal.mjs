@@ -0,0 +1,312 @@
+/**
+ * In-memory Report Portal answering the API requests sent through the `k6/http` stub. It keeps the launches,
+ * items and logs it was sent and records every request with its parsed body in `requests`.
+ */
+const API_URL = /^https?:\/\/[^/]+\/api\/v(\d+)\/[^/]+(\/[^?]*)(?:\?(.*))?$/;
+
+/**
+ * Creates a fake Report Portal
+ * @returns {Object} Fake Report Portal, see reset() for its options
+ */
+export function createFakeReportPortal() {
+    const state = {};
+
+    /**
+     * Creates a k6 response with a JSON body
+     * @private
+     */
+    function respond(status, result = {}) {
+        return {status, body: JSON.stringify(result)};
+    }
+
+    /**
+     * Parses a request body: JSON, or the log requests of a multipart body
+     * @private
+     */
+    function parseBody(body, params) {
+        if (typeof body !== 'string') return body;
+
+        const contentType = (params && params.headers && params.headers['Content-Type']) || '';
+        const boundary = contentType.match(/boundary=(.+)$/);
+        if (!boundary) return JSON.parse(body);
+
+        const part = body.split(`--${boundary[1]}`).find(chunk => chunk.includes('name="json_request_part"'));
+        return {multipart: true, logs: JSON.parse(part.slice(part.indexOf('\r\n\r\n') + 4).trim())};
+    }
+
+    /**
+     * Gets a launch as Report Portal returns it, the `processingPolls` first polls of a finished launch find it
+     * still in progress and the `analysisPolls` first polls after an analysis find the analyzer running
+     * @private
+     */
+    function readLaunch(launch) {
+        let status = launch.status;
+        if (launch.finished && launch.processingPolls > 0) {
+            launch.processingPolls--;
+            status = 'IN_PROGRESS';
+        }
+
+        let analysing = [];
+        if (launch.analysisPolls > 0) {
+            launch.analysisPolls--;
+            analysing = [launch.analyzer];
+        }
+
+        const {id, uuid, name, number, startTime, endTime, attributes} = launch;
+        return {id, uuid, name, number, status, startTime, endTime, attributes, analysing};
+    }
+
+    /**
+     * Creates a launch, numbered after the previous launches with the same name
+     * @private
+     */
+    function createLaunch(payload) {
+        const number = state.launches.filter(launch => launch.name === payload.name).length + 1;
+        const launch = {
+            ...payload,
+            id: state.launches.length + 1,
+            number,
+            status: 'IN_PROGRESS',
+            finished: false,
+            processingPolls: 0,
+            analysisPolls: 0
+        };
+        state.launches.push(launch);
+        return launch;
+    }
+
+    /**
+     * Finishes a launch, Report Portal then processes it for `processingPolls` polls
+     * @private
+     */
+    function finishLaunch(launch, payload) {
+        Object.assign(launch, {
+            status: payload.status || 'PASSED',
+            endTime: payload.endTime,
+            finished: true,
+            processingPolls: state.processingPolls
+        });
+        if (payload.attributes) launch.attributes = [...(launch.attributes || []), ...payload.attributes];
+    }
+
+    /**
+     * Answers a request to the launch endpoints
+     * @private
+     */
+    function routeLaunch(method, path, query, body) {
+        const findByUuid = uuid => state.launches.find(launch => launch.uuid === uuid);
+        const findById = id => state.launches.find(launch => launch.id === id);
+
+        if (method === 'POST' && path === '/launch') {
+            const launch = createLaunch(body);
+            return respond(201, {id: launch.uuid, number: launch.number});
+        }
+
+        const finish = path.match(/^\/launch\/([^/]+)\/finish$/);
+        if (method === 'PUT' && finish) {
+            const launch = findByUuid(finish[1]);
+            if (!launch) return respond(404, {message: `Launch '${finish[1]}' not found`});
+            finishLaunch(launch, body);
+            return respond(200, {id: launch.uuid, number: launch.number});
+        }
+
+        const byUuid = path.match(/^\/launch\/uuid\/([^/]+)$/);
+        if (method === 'GET' && byUuid) {
+            const launch = findByUuid(byUuid[1]);
+            return launch ? respond(200, readLaunch(launch)) : respond(404, {message: 'Launch not found'});
+        }
+
+        if (method === 'GET' && path === '/launch') {
+            const content = state.launches
+                .filter(launch => !query.has('filter.eq.name') || launch.name === query.get('filter.eq.name'))
+                .filter(launch => !query.has('filter.lt.number')
+                    || launch.number < Number(query.get('filter.lt.number')))
+                .sort((a, b) => b.number - a.number)
+                .slice(0, Number(query.get('page.size')) || 20)
+                .map(readLaunch);
+            return respond(200, {content});
+        }
+
+        if (method === 'POST' && path === '/launch/analyze') {
+            const launch = findById(body.launchId);
+            if (!launch) return respond(404, {message: `Launch '${body.launchId}' not found`});
+            state.analyses.push(body);
+            Object.assign(launch, {analyzer: body.analyzerTypeName, analysisPolls: state.analysisPolls});
+            return respond(200, {message: `${body.analyzerTypeName} analysis for launch ${launch.id} started`});
+        }
+
+        if (method === 'POST' && path === '/launch/merge') {
+            const missing = body.launches.filter(id => !findById(id));
+            if (missing.length > 0) return respond(404, {message: `Launches ${missing.join(', ')} not found`});
+            state.merges.push(body);
+
+            const merged = createLaunch({
+                name: body.name,
+                description: body.description,
+                attributes: body.attributes,
+                startTime: body.startTime,
+                uuid: `merged-${state.merges.length}`
+            });
+            finishLaunch(merged, {endTime: body.endTime});
+            return respond(200, {id: merged.id, uuid: merged.uuid, number: merged.number, name: merged.name});
+        }
+        return null;
+    }
+
+    /**
+     * Answers a request to the item and log endpoints
+     * @private
+     */
+    function routeItem(method, path, query, body) {
+        const item = path.match(/^\/item(?:\/([^/]+))?$/);
+
+        if (method === 'POST' && item) {
+            if (item[1] && !state.items.has(item[1])) {
+                return respond(404, {message: `Item '${item[1]}' not found`});
+            }
+            state.items.set(body.uuid, {...body, parentId: item[1] || null, status: 'IN_PROGRESS'});
+            return respond(201, {id: body.uuid});
+        }
+
+        if (method === 'PUT' && item && item[1]) {
+            const started = state.items.get(item[1]);
+            if (!started) return respond(404, {message: `Item '${item[1]}' not found`});
+            Object.assign(started, {...body, finished: true});
+            return respond(200, {message: `TestItem with ID = '${item[1]}' successfully finished.`});
+        }
+
+        if (method === 'GET' && item && item[1]) {
+            const found = state.items.get(item[1]);
+            return found ? respond(200, found) : respond(404, {message: 'Item not found'});
+        }
+
+        if (method === 'GET' && path === '/item') {
+            const launch = state.launches.find(entry => String(entry.id) === query.get('filter.eq.launchId'));
+            const statuses = (query.get('filter.in.status') || '').split(',');
+            const content = [...state.items.values()].filter(entry => launch
+                && entry.launchUuid === launch.uuid
+                && (!query.has('filter.eq.type') || entry.type === query.get('filter.eq.type'))
+                && (!query.has('filter.in.status') || statuses.includes(entry.status)));
+            return respond(200, {content});
+        }
+
+        if (method === 'POST' && path === '/log') {
+            const logs = body.multipart ? body.logs : [body];
+            state.logs.push(...logs);
+            state.logBatches.push(logs);
+            return respond(201, {responses: logs.map(() => ({id: `log-${state.logs.length}`}))});
+        }
+        return null;
+    }
+
+    const fake = {
+        /**
+         * Forgets everything that was reported
+         * @param {Object} [options] - Behaviour of the fake
+         * @param {number} [options.processingPolls=0] - Polls of a finished launch that still find it in progress
+         * @param {number} [options.analysisPolls=0] - Polls of an analyzed launch that find the analyzer running
+         * @param {Function} [options.intercept] - Called with every request before the fake answers it,
+         * returns a response to answer it instead, e.g. `{status: 503}`
+         */
+        reset({processingPolls = 0, analysisPolls = 0, intercept = () => undefined} = {}) {
+            Object.assign(state, {
+                processingPolls,
+                analysisPolls,
+                intercept,
+                launches: [],
+                items: new Map(),
+                logs: [],
+                logBatches: [],
+                analyses: [],
+                merges: [],
+                requests: []
+            });
+        },
+
+        /**
+         * Answers the next requests with a handler first, keeping what was reported so far
+         * @param {Function} intercept - Called with every request, returns a response to answer it instead
+         */
+        intercept(intercept) {
+            state.intercept = intercept;
+        },
+
+        /**
+         * Answers a k6 request
+         * @param {string} method - HTTP method
+         * @param {string} url - Request URL
+         * @param {string|null} body - Request body
+         * @param {Object} [params] - k6 request parameters
+         * @returns {{status: number, body: string}} k6 response
+         */
+        handle(method, url, body, params) {
+            const match = url.match(API_URL);
+            const request = {
+                method,
+                url,
+                apiVersion: match && Number(match[1]),
+                path: match && match[2],
+                body: parseBody(body, params),
+                params
+            };
+            state.requests.push(request);
+
+            const intercepted = state.intercept(request);
+            if (intercepted) return {body: '', ...intercepted};
+            if (!match) return respond(404, {message: `No route for ${url}`});
+
+            const query = new URLSearchParams(match[3] || '');
+            return routeLaunch(method, request.path, query, request.body)
+                || routeItem(method, request.path, query, request.body)
+                || respond(404, {message: `No route for ${method} ${request.path}`});
+        },
+
+        /**
+         * Gets the recorded requests, optionally only those with a method and path
+         * @param {string} [method] - HTTP method
+         * @param {string|RegExp} [path] - API path, e.g. `/launch/merge`
+         * @returns {Array<Object>} Requests with their `method`, `url`, `apiVersion`, `path`, parsed `body`
+         * and `params`
+         */
+        requestsTo(method, path) {
+            return state.requests.filter(request => (!method || request.method === method)
+                && (!path || (path instanceof RegExp ? path.test(request.path) : request.path === path)));
+        },
+
+        /**
+         * Gets the reported items in the order they were started
+         * @returns {Array<Object>} Items with their start payload, `parentId`, `status` and finish payload
+         */
+        items() {
+            return [...state.items.values()];
+        },
+
+        /**
+         * Gets an item by name
+         * @param {string} name - Item name
+         * @returns {Object|undefined} Last item started with the name
+         */
+        item(name) {
+            return fake.items().filter(item => item.name === name).pop();
+        },
+
+        /**
+         * Gets the children of an item
+         * @param {Object|null} parent - Parent item, null for the root items
+         * @returns {Array<Object>} Child items in the order they were started
+         */
+        children(parent) {
+            return fake.items().filter(item => item.parentId === (parent ? parent.uuid : null));
+        }
+    };
+
+    ['launches', 'logs', 'logBatches', 'analyses', 'merges', 'requests'].forEach(key => {
+        Object.defineProperty(fake, key, {get: () => state[key], enumerable: true});
+    });
+
+    fake.reset();
+    return fake;
+}
+
+/** Report Portal answering the `k6/http` stub */
+export const reportPortal = createFakeReportPortal();
@@ -0,0 +1,69 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {parseFilter} from '../src/filter.js';
+
+const test = {name: 'Create policy', priority: 'P0', service: 'AUTHZ', features: ['policies', 'slow']};
+const suite = {name: 'Policies', owner: 'team-a', features: ['regression']};
+
+describe('parseFilter', () => {
+    it('compares values case-insensitively', () => {
+        assert.equal(parseFilter('priority == p0')(test, suite), true);
+        assert.equal(parseFilter('service != authz')(test, suite), false);
+    });
+
+    it('combines predicates with &&, || and !', () => {
+        assert.equal(parseFilter('priority == P1 || service == AUTHZ')(test, suite), true);
+        assert.equal(parseFilter('priority == P0 && !features:slow')(test, suite), false);
+        assert.equal(parseFilter('!(priority == P1 || service == IAM)')(test, suite), true);
+    });
+
+    it('gives && precedence over ||', () => {
+        assert.equal(parseFilter('priority == P1 && service == IAM || owner == team-a')(test, suite), true);
+        assert.equal(parseFilter('priority == P1 && (service == IAM || owner == team-a)')(test, suite), false);
+    });
+
+    it('matches in lists', () => {
+        assert.equal(parseFilter('priority in (P0, P1)')(test, suite), true);
+        assert.equal(parseFilter('priority IN (P2,P3)')(test, suite), false);
+    });
+
+    it('checks that arrays contain a value and that strings contain a substring', () => {
+        assert.equal(parseFilter('features:slow')(test, suite), true);
+        assert.equal(parseFilter('features:slo')(test, suite), false);
+        assert.equal(parseFilter('name:policy')(test, suite), true);
+    });
+
+    it('combines array values of the test and the suite', () => {
+        assert.equal(parseFilter('features == regression')(test, suite), true);
+    });
+
+    it('falls back to the suite metadata, suite.<key> reads the suite only', () => {
+        assert.equal(parseFilter('owner == team-a')(test, suite), true);
+        assert.equal(parseFilter('suite.name == Policies')(test, suite), true);
+        assert.equal(parseFilter('name == Policies')(test, suite), false);
+    });
+
+    it('matches a bare key when the value is present and not empty', () => {
+        assert.equal(parseFilter('service')(test, suite), true);
+        assert.equal(parseFilter('bug')(test, suite), false);
+        assert.equal(parseFilter('bug')({bug: ''}, {}), false);
+    });
+
+    it('reads quoted values as they are', () => {
+        assert.equal(parseFilter('name == "Create policy"')(test, suite), true);
+        assert.equal(parseFilter('name == \'a && b\'')({name: 'a && b'}), true);
+    });
+
+    it('accepts missing metadata', () => {
+        assert.equal(parseFilter('priority == P0')(), false);
+        assert.equal(parseFilter('!service')(null, null), true);
+    });
+
+    it('rejects invalid expressions', () => {
+        assert.throws(() => parseFilter(''), /Invalid test filter "": expression is empty/);
+        assert.throws(() => parseFilter('priority =='), /expected a value but found end of expression/);
+        assert.throws(() => parseFilter('(priority == P0'), /expected "\)" but found end of expression/);
+        assert.throws(() => parseFilter('priority == P0 P1'), /unexpected "P1"/);
+        assert.throws(() => parseFilter('name == "open'), /unterminated string/);
+    });
+});
@@ -0,0 +1,168 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {evaluateQualityGate} from '../src/gate.js';
+import {DefectType, ItemType, Status} from '../src/report-portal-client.js';
+
+const test = (name, status, extra = {}) => ({type: ItemType.TEST, name, status, attributes: {}, ...extra});
+const results = (...tests) => ({
+    suites: [{
+        type: ItemType.SUITE,
+        name: 'Policies',
+        children: [...tests, {type: ItemType.BEFORE_CLASS, name: 'setUp', status: Status.FAILED}]
+    }]
+});
+
+const LAUNCH = {
+    id: 8,
+    name: 'Nightly',
+    number: 8,
+    statistics: {executions: {total: 10, passed: 9, failed: 1}, defects: {to_investigate: {total: 1}}}
+};
+
+/**
+ * Creates a reporter client stub answering the launch lookups, its calls are recorded in order in `calls`
+ */
+function createLogger({current = {launch: LAUNCH, reachable: true}, previous, previousFailures = []} = {}) {
+    const calls = [];
+    return {
+        calls,
+        async settle() {
+            calls.push('settle');
+        },
+        findLaunch() {
+            calls.push('findLaunch');
+            return current;
+        },
+        findPreviousLaunch(launch) {
+            calls.push(`findPreviousLaunch ${launch.number}`);
+            return previous || {launch: {id: 7, number: 7}, reachable: true};
+        },
+        getFailedTests(launchNumericId) {
+            calls.push(`getFailedTests ${launchNumericId}`);
+            return previousFailures;
+        }
+    };
+}
+
+const messages = verdict => verdict.checks.map(check => `${check.passed ? 'PASSED' : 'FAILED'} ${check.message}`);
+
+describe('evaluateQualityGate', () => {
+    it('counts the tests, hooks left out', async () => {
+        const verdict = await evaluateQualityGate(results(
+            test('a', Status.PASSED), test('b', Status.FAILED), test('c', Status.INTERRUPTED), test('d', Status.SKIPPED)
+        ), {});
+
+        assert.deepEqual(verdict.stats, {total: 4, passed: 1, failed: 2, skipped: 1});
+        assert.equal(verdict.passed, true);
+    });
+
+    it('fails on failed tests of the given priorities', async () => {
+        const verdict = await evaluateQualityGate(results(
+            test('a', Status.FAILED, {attributes: {priority: 'P0'}}),
+            test('b', Status.FAILED, {attributes: [{key: 'priority', value: 'P2'}]}),
+            test('c', Status.PASSED, {attributes: {priority: 'P1'}})
+        ), {noFailedPriorities: ['P0', 'P1']});
+
+        assert.deepEqual(messages(verdict), ['FAILED 1 failed P0/P1 test(s): a']);
+        assert.equal(verdict.passed, false);
+    });
+
+    it('computes the pass rate among the executed tests', async () => {
+        const passing = await evaluateQualityGate(results(
+            test('a', Status.PASSED), test('b', Status.PASSED), test('c', Status.FAILED), test('d', Status.SKIPPED)
+        ), {minPassRate: 66});
+        const failing = await evaluateQualityGate(results(test('a', Status.PASSED), test('b', Status.FAILED)),
+            {minPassRate: 66});
+
+        assert.deepEqual(messages(passing), ['PASSED Pass rate 66.66% (2/3), minimum 66%']);
+        assert.deepEqual(messages(failing), ['FAILED Pass rate 50% (1/2), minimum 66%']);
+    });
+
+    it('fails the pass rate when no test was executed', async () => {
+        const verdict = await evaluateQualityGate(results(test('a', Status.SKIPPED)), {minPassRate: 0});
+
+        assert.deepEqual(messages(verdict), ['FAILED No tests were executed']);
+    });
+
+    it('fails on failed tests left To Investigate', async () => {
+        const verdict = await evaluateQualityGate(results(
+            test('a', Status.FAILED),
+            test('b', Status.FAILED, {issue: {issueType: 'ti_custom'}}),
+            test('c', Status.FAILED, {issue: {issueType: DefectType.PRODUCT_BUG}})
+        ), {noToInvestigate: true});
+
+        assert.deepEqual(messages(verdict), ['FAILED 2 test(s) To Investigate: a, b']);
+    });
+
+    it('accepts a list of result trees', async () => {
+        const trees = [results(test('a', Status.PASSED)), results(test('b', Status.FAILED))];
+        const verdict = await evaluateQualityGate(trees, {});
+
+        assert.equal(verdict.stats.total, 2);
+    });
+
+    it('cross-checks the launch statistics once the client settled', async () => {
+        const logger = createLogger();
+        const verdict = await evaluateQualityGate(results(test('a', Status.PASSED)),
+            {minPassRate: 95, noToInvestigate: true, crossCheck: true}, logger);
+
+        assert.deepEqual(logger.calls, ['settle', 'findLaunch']);
+        assert.deepEqual(messages(verdict), [
+            'PASSED Pass rate 100% (1/1), minimum 95%',
+            'FAILED Pass rate in the launch 90% (9/10), minimum 95%',
+            'PASSED No tests To Investigate',
+            'FAILED 1 item(s) To Investigate in the launch'
+        ]);
+    });
+
+    it('compares the failures with the previous launch by test case ID or name', async () => {
+        const logger = createLogger({previousFailures: [{name: 'b'}, {name: 'renamed', testCaseId: 'TC-C'}]});
+        const verdict = await evaluateQualityGate(results(
+            test('a', Status.FAILED), test('b', Status.FAILED), test('c', Status.FAILED, {testCaseId: 'TC-C'})
+        ), {noNewFailures: true}, logger);
+
+        assert.deepEqual(logger.calls, ['settle', 'findLaunch', 'findPreviousLaunch 8', 'getFailedTests 7']);
+        assert.deepEqual(messages(verdict), ['FAILED 1 new failure(s) since launch #7: a']);
+    });
+
+    it('passes noNewFailures without a previous launch', async () => {
+        const logger = createLogger({previous: {launch: null, reachable: true}});
+        const verdict = await evaluateQualityGate(results(test('a', Status.FAILED)), {noNewFailures: true}, logger);
+
+        assert.deepEqual(messages(verdict), ['PASSED No previous launch to compare with']);
+    });
+
+    it('tells a launch that is not saved yet from an unreachable Report Portal', async () => {
+        const rules = {minPassRate: 0, noNewFailures: true, crossCheck: true};
+        const notSaved = await evaluateQualityGate(results(test('a', Status.PASSED)), rules,
+            createLogger({current: {launch: null, reachable: true}}));
+        const unreachable = await evaluateQualityGate(results(test('a', Status.PASSED)), rules,
+            createLogger({current: {launch: null, reachable: false}}));
+
+        assert.deepEqual(messages(notSaved).slice(1), [
+            'FAILED minPassRate could not be checked, the launch is not saved in Report Portal yet',
+            'FAILED noNewFailures could not be checked, the launch is not saved in Report Portal yet'
+        ]);
+        assert.deepEqual(messages(unreachable).slice(1), [
+            'FAILED minPassRate could not be checked, Report Portal did not answer',
+            'FAILED noNewFailures could not be checked, Report Portal did not answer'
+        ]);
+    });
+
+    it('fails noNewFailures when the previous failures cannot be read', async () => {
+        const previousDown = await evaluateQualityGate(results(test('a', Status.PASSED)), {noNewFailures: true},
+            createLogger({previous: {launch: null, reachable: false}}));
+        const failuresDown = await evaluateQualityGate(results(test('a', Status.PASSED)), {noNewFailures: true},
+            createLogger({previousFailures: null}));
+
+        const expected = ['FAILED noNewFailures could not be checked, Report Portal did not answer'];
+        assert.deepEqual(messages(previousDown), expected);
+        assert.deepEqual(messages(failuresDown), expected);
+    });
+
+    it('fails the rules that need Report Portal without a client', async () => {
+        const verdict = await evaluateQualityGate(results(test('a', Status.PASSED)), {noNewFailures: true});
+
+        assert.equal(verdict.passed, false);
+    });
+});
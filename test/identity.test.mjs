@@ -0,0 +1,51 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {getMemberIdentity, getSuiteIdentity} from '../src/identity.js';
+
+class PolicySuite {}
+
+describe('getSuiteIdentity', () => {
+    it('identifies a suite by its class name', () => {
+        assert.deepEqual(getSuiteIdentity(new PolicySuite(), 'policies', {name: 'Policies'}),
+            {codeRef: 'PolicySuite', testCaseId: 'PolicySuite', uniqueId: 'PolicySuite'});
+    });
+
+    it('falls back to the suite name for plain objects', () => {
+        assert.equal(getSuiteIdentity({}, 'policies', {}).codeRef, 'policies');
+    });
+
+    it('uses the id of the @Suite decorator as test case ID', () => {
+        assert.deepEqual(getSuiteIdentity(new PolicySuite(), 'policies', {id: 42}),
+            {codeRef: 'PolicySuite', testCaseId: '42', uniqueId: '42'});
+    });
+});
+
+describe('getMemberIdentity', () => {
+    const suite = {codeRef: 'PolicySuite', testCaseId: 'policies'};
+
+    it('appends the method name to the suite identity', () => {
+        assert.deepEqual(getMemberIdentity(suite, 'testCreate'),
+            {codeRef: 'PolicySuite.testCreate', testCaseId: 'policies.testCreate', uniqueId: 'policies.testCreate'});
+    });
+
+    it('uses the test case ID given by the test', () => {
+        assert.deepEqual(getMemberIdentity(suite, 'testCreate', {testCaseId: 'POL-TC-12'}),
+            {codeRef: 'PolicySuite.testCreate', testCaseId: 'POL-TC-12', uniqueId: 'POL-TC-12'});
+    });
+
+    it('appends the row number of a parameterized test case without an ID', () => {
+        const identity = getMemberIdentity(suite, 'testLogin', {index: 1});
+
+        assert.equal(identity.testCaseId, 'policies.testLogin[2]');
+        assert.equal(identity.uniqueId, 'policies.testLogin[2]');
+        assert.equal(getMemberIdentity(suite, 'testLogin', {testCaseId: 'LOGIN', index: 0}).testCaseId, 'LOGIN[1]');
+    });
+
+    it('appends the ID of the row of a parameterized test case', () => {
+        const identity = getMemberIdentity(suite, 'testCreate', {caseId: 'gold', index: 3});
+
+        assert.equal(identity.testCaseId, 'policies.testCreate[gold]');
+        assert.equal(getMemberIdentity(suite, 'testCreate', {caseId: 0, index: 3}).testCaseId,
+            'policies.testCreate[0]');
+    });
+});
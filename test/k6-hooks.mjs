@@ -0,0 +1,36 @@
+/**
+ * Module hooks running the library under Node.js for unit tests: the k6 modules and the remote jslib imports are
+ * replaced by stubs, `k6/http` sending the requests to the fake Report Portal, and the library files are loaded
+ * as ES modules.
+ */
+const STUB_FILES = {
+    'k6': new URL('./stubs/k6.mjs', import.meta.url).href,
+    'k6/http': new URL('./stubs/k6-http.mjs', import.meta.url).href
+};
+const STUBS = {
+    'k6/execution': 'export default {test: {abort() {}, options: {}}, vu: {idInTest: 1}};',
+    'k6/metrics': 'export class Rate { add() {} } export class Trend { add() {} } export class Counter { add() {} }'
+};
+const REMOTE_STUB = 'export class FormData { append() {} }';
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier in STUB_FILES) {
+        return {url: STUB_FILES[specifier], shortCircuit: true};
+    }
+    if (specifier in STUBS || specifier.startsWith('https://')) {
+        return {url: `k6-stub:${specifier}`, shortCircuit: true};
+    }
+    return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith('k6-stub:')) {
+        const specifier = url.slice('k6-stub:'.length);
+        return {format: 'module', source: STUBS[specifier] || REMOTE_STUB, shortCircuit: true};
+    }
+    // The package has no "type", the library sources are ES modules
+    if (/\/(src|lib)\/[^/]+\.js$/.test(url)) {
+        return nextLoad(url, {...context, format: 'module'});
+    }
+    return nextLoad(url, context);
+}
@@ -0,0 +1,81 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {getDependencies, orderTests, parseTestOrder} from '../src/order.js';
+
+const DECLARATION = {random: false, seed: null};
+const metadataOf = metadata => name => metadata[name] || {};
+
+describe('parseTestOrder', () => {
+    it('defaults to the declaration order', () => {
+        assert.deepEqual(parseTestOrder(), DECLARATION);
+        assert.deepEqual(parseTestOrder('declaration'), DECLARATION);
+    });
+
+    it('reads the seed of a random order', () => {
+        assert.deepEqual(parseTestOrder('random:42'), {random: true, seed: 42});
+    });
+
+    it('generates a seed for a random order without one', () => {
+        const {random, seed} = parseTestOrder('random');
+        assert.equal(random, true);
+        assert.equal(Number.isInteger(seed), true);
+    });
+
+    it('rejects unknown orders', () => {
+        assert.throws(() => parseTestOrder('alphabetical'), /Invalid test order "alphabetical"/);
+        assert.throws(() => parseTestOrder('random:abc'), /Invalid test order/);
+    });
+});
+
+describe('orderTests', () => {
+    it('keeps the declaration order', () => {
+        assert.deepEqual(orderTests(['c', 'a', 'b'], metadataOf({}), DECLARATION), ['c', 'a', 'b']);
+    });
+
+    it('runs tests with an explicit order first, lowest first', () => {
+        const metadata = metadataOf({b: {order: 2}, d: {order: 1}});
+        assert.deepEqual(orderTests(['a', 'b', 'c', 'd'], metadata, DECLARATION), ['d', 'b', 'a', 'c']);
+    });
+
+    it('moves tests after the tests they depend on', () => {
+        const metadata = metadataOf({a: {dependsOn: 'c'}, b: {dependsOn: ['a', 'c']}});
+        assert.deepEqual(orderTests(['a', 'b', 'c'], metadata, DECLARATION), ['c', 'a', 'b']);
+    });
+
+    it('ignores dependencies on unknown tests', () => {
+        const metadata = metadataOf({a: {dependsOn: 'missing'}});
+        assert.deepEqual(orderTests(['a', 'b'], metadata, DECLARATION), ['a', 'b']);
+    });
+
+    it('appends tests in a dependency cycle in their given order', () => {
+        const metadata = metadataOf({a: {dependsOn: 'b'}, b: {dependsOn: 'a'}});
+        assert.deepEqual(orderTests(['a', 'b', 'c'], metadata, DECLARATION), ['c', 'a', 'b']);
+    });
+
+    it('shuffles the same way for the same seed', () => {
+        const names = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+        const first = orderTests(names, metadataOf({}), {random: true, seed: 7});
+        const second = orderTests(names, metadataOf({}), {random: true, seed: 7});
+
+        assert.deepEqual(first, second);
+        assert.deepEqual([...first].sort(), names);
+        assert.notDeepEqual(first, names);
+    });
+
+    it('keeps dependencies in a random order', () => {
+        const names = ['a', 'b', 'c', 'd', 'e', 'f'];
+        const metadata = metadataOf({a: {dependsOn: 'f'}});
+        for (let seed = 1; seed <= 20; seed++) {
+            const ordered = orderTests(names, metadata, {random: true, seed});
+            assert.ok(ordered.indexOf('f') < ordered.indexOf('a'), `seed ${seed}: ${ordered.join(',')}`);
+        }
+    });
+});
+
+describe('getDependencies', () => {
+    it('reads dependsOn as an array', () => {
+        assert.deepEqual(getDependencies({}), []);
+        assert.deepEqual(getDependencies({dependsOn: 'login'}), ['login']);
+        assert.deepEqual(getDependencies({dependsOn: ['login', 'create']}), ['login', 'create']);
+    });
+});
@@ -0,0 +1,266 @@
+import {afterEach, beforeEach, describe, it, mock} from 'node:test';
+import assert from 'node:assert/strict';
+import {sleeps} from 'k6';
+import {reportPortal} from './fake-report-portal.mjs';
+import {createReporter, finishLaunch, startLaunch, waitForLaunch} from '../src/report-portal-client.js';
+
+const CONFIG = {
+    endpoint: 'http://rp.test',
+    project: 'k6',
+    token: 'token',
+    launch: 'Nightly',
+    publishResult: true,
+    systemAttributes: false,
+    requestRetries: 0
+};
+const WAIT = {interval: '10ms', timeout: '1s'};
+
+/**
+ * Starts and finishes a launch of its own, e.g. the launch of another shard
+ */
+function reportLaunch(config = CONFIG) {
+    const uuid = startLaunch(config);
+    finishLaunch(uuid, config);
+    return uuid;
+}
+
+const launchPolls = uuid => reportPortal.requestsTo('GET', `/launch/uuid/${uuid}`);
+
+describe('post-launch actions', () => {
+    beforeEach(() => {
+        reportPortal.reset();
+        sleeps.length = 0;
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+    afterEach(() => mock.restoreAll());
+
+    describe('analyze', () => {
+        it('runs the auto-analyzer on the launch once it is finished', () => {
+            const reporter = createReporter({...CONFIG, analyze: true, waitForLaunch: WAIT});
+            reporter.start();
+            reporter.finish();
+
+            assert.deepEqual(reportPortal.analyses, [{
+                launchId: 1,
+                analyzerTypeName: 'autoAnalyzer',
+                analyzerMode: 'LAUNCH_NAME',
+                analyzeItemsMode: ['TO_INVESTIGATE']
+            }]);
+            const [analyze] = reportPortal.requestsTo('POST', '/launch/analyze');
+            assert.equal(analyze.apiVersion, 1);
+            assert.equal(reporter.getLaunchId(), reportPortal.launches[0].uuid);
+        });
+
+        it('runs the pattern analyzer or the configured analysis', () => {
+            const reporter = createReporter({
+                ...CONFIG,
+                analyze: {analyzer: 'autoAnalyzer', mode: 'CURRENT_LAUNCH', items: ['TO_INVESTIGATE', 'AUTO_ANALYZED']}
+            });
+            reporter.start();
+            reporter.finish();
+
+            const pattern = createReporter({...CONFIG, analyze: 'pattern'});
+            pattern.start();
+            pattern.finish();
+
+            assert.deepEqual(reportPortal.analyses.map(({launchId, analyzerTypeName, analyzerMode}) => (
+                {launchId, analyzerTypeName, analyzerMode})), [
+                {launchId: 1, analyzerTypeName: 'autoAnalyzer', analyzerMode: 'CURRENT_LAUNCH'},
+                {launchId: 2, analyzerTypeName: 'patternAnalyzer', analyzerMode: 'LAUNCH_NAME'}
+            ]);
+            assert.deepEqual(reportPortal.analyses[0].analyzeItemsMode, ['TO_INVESTIGATE', 'AUTO_ANALYZED']);
+        });
+
+        it('waits until Report Portal has finished the launch before analyzing it', () => {
+            reportPortal.reset({processingPolls: 2});
+            const reporter = createReporter({...CONFIG, analyze: true, waitForLaunch: WAIT});
+            reporter.start();
+            reporter.finish();
+
+            const uuid = reporter.getLaunchId();
+            const analyze = reportPortal.requests.indexOf(reportPortal.requestsTo('POST', '/launch/analyze')[0]);
+            const pollsBefore = launchPolls(uuid).filter(poll => reportPortal.requests.indexOf(poll) < analyze);
+            // Two polls find the launch in progress, the third one finds it finished, analyzeLaunch looks up its ID
+            assert.equal(pollsBefore.length, 4);
+            assert.deepEqual(sleeps, [0.01, 0.01]);
+        });
+
+        it('does not run anything without post-launch actions', () => {
+            const reporter = createReporter(CONFIG);
+            reporter.start();
+            reporter.finish();
+
+            assert.deepEqual(reportPortal.requests.map(({method, path}) => `${method} ${path}`), [
+                'POST /launch',
+                `PUT /launch/${reporter.getLaunchId()}/finish`
+            ]);
+        });
+    });
+
+    describe('merge', () => {
+        it('merges the launch with the launches of the other shards', () => {
+            const shard = reportLaunch();
+            const reporter = createReporter({
+                ...CONFIG,
+                merge: {
+                    launches: [shard],
+                    name: 'Nightly (all shards)',
+                    description: 'Shards 1 and 2',
+                    mergeType: 'DEEP',
+                    attributes: {shards: 2}
+                }
+            });
+            reporter.start();
+            reporter.finish();
+
+            const [first, second] = reportPortal.launches;
+            const [merge] = reportPortal.merges;
+            assert.deepEqual({...merge, endTime: undefined}, {
+                launches: [second.id, first.id],
+                name: 'Nightly (all shards)',
+                description: 'Shards 1 and 2',
+                mergeType: 'DEEP',
+                extendSuitesDescription: true,
+                mode: 'DEFAULT',
+                startTime: first.startTime,
+                endTime: undefined,
+                attributes: [{key: 'shards', value: '2'}]
+            });
+            assert.ok(merge.endTime >= second.endTime);
+        });
+
+        it('makes the merged launch the launch of the reporter', () => {
+            const shard = reportLaunch();
+            const reporter = createReporter({...CONFIG, merge: {launches: [shard]}});
+            reporter.start();
+            const launch = reporter.getLaunchId();
+            reporter.finish();
+
+            assert.notEqual(reporter.getLaunchId(), launch);
+            assert.equal(reporter.getLaunchId(), 'merged-1');
+            assert.deepEqual(reportPortal.merges[0].launches, [2, 1]);
+            assert.equal(reportPortal.merges[0].name, 'Nightly');
+            assert.equal(reportPortal.merges[0].mergeType, 'BASIC');
+        });
+
+        it('leaves the current launch out with includeCurrent false', () => {
+            const shards = [reportLaunch(), reportLaunch()];
+            const reporter = createReporter({...CONFIG, merge: {launches: shards, includeCurrent: false}});
+            reporter.start();
+            reporter.finish();
+
+            assert.deepEqual(reportPortal.merges[0].launches, [1, 2]);
+        });
+
+        it('analyzes the launch and waits for the analysis before merging', () => {
+            reportPortal.reset({analysisPolls: 2});
+            const shard = reportLaunch();
+            const reporter = createReporter({
+                ...CONFIG,
+                analyze: true,
+                merge: {launches: [shard]},
+                waitForLaunch: WAIT
+            });
+            reporter.start();
+            reporter.finish();
+
+            const order = reportPortal.requests
+                .filter(({method}) => method === 'POST')
+                .map(({path}) => path)
+                .filter(path => path !== '/launch');
+            assert.deepEqual(order, ['/launch/analyze', '/launch/merge']);
+            // The analysis is running during two polls
+            assert.deepEqual(sleeps, [0.01, 0.01]);
+        });
+
+        it('waits for Report Portal to process the merged launch', () => {
+            reportPortal.reset({processingPolls: 1});
+            const shard = reportLaunch();
+            const reporter = createReporter({...CONFIG, merge: {launches: [shard]}, waitForLaunch: WAIT});
+            reporter.start();
+            reporter.finish();
+
+            assert.equal(launchPolls('merged-1').length, 2);
+            assert.equal(reporter.getLaunchId(), 'merged-1');
+        });
+
+        it('keeps the current launch when the merge fails', () => {
+            const reporter = createReporter({...CONFIG, merge: {launches: ['unknown-launch']}});
+            reporter.start();
+            reporter.finish();
+
+            assert.equal(reportPortal.merges.length, 0);
+            assert.equal(reporter.getLaunchId(), reportPortal.launches[0].uuid);
+        });
+
+        it('returns the merged launch once an asynchronously reported launch is finished', async () => {
+            const shard = reportLaunch();
+            const reporter = createReporter({...CONFIG, apiVersion: 2, merge: {launches: [shard]}});
+            reporter.start();
+            await reporter.finish();
+
+            assert.equal(reporter.getLaunchId(), 'merged-1');
+        });
+
+        it('merges the shared launch finished in teardown', () => {
+            const shard = reportLaunch();
+            const reporter = createReporter({...CONFIG, merge: {launches: [shard]}});
+            const shared = reporter.startLaunch();
+
+            assert.equal(reporter.finishLaunch(shared), true);
+            assert.deepEqual(reportPortal.merges[0].launches, [2, 1]);
+        });
+    });
+
+    describe('waitForLaunch', () => {
+        it('polls the launch until it is finished', () => {
+            reportPortal.reset({processingPolls: 3});
+            const uuid = reportLaunch();
+
+            const launch = waitForLaunch(uuid, CONFIG, {interval: '20ms'});
+
+            assert.equal(launch.uuid, uuid);
+            assert.equal(launch.status, 'PASSED');
+            assert.equal(launchPolls(uuid).length, 4);
+            assert.ok(launchPolls(uuid).every(poll => poll.apiVersion === 1));
+            assert.deepEqual(sleeps, [0.02, 0.02, 0.02]);
+        });
+
+        it('polls a launch Report Portal has not saved yet', () => {
+            let polls = 0;
+            // The first polls do not find the launch
+            reportPortal.reset({
+                intercept: ({method}) => (method === 'GET' && ++polls <= 2 ? {status: 404} : undefined)
+            });
+            const uuid = reportLaunch();
+
+            assert.equal(waitForLaunch(uuid, CONFIG, {interval: '10ms'}).uuid, uuid);
+            assert.equal(launchPolls(uuid).length, 3);
+        });
+
+        it('gives up once the timeout has passed', () => {
+            reportPortal.reset({processingPolls: 1000});
+            const uuid = reportLaunch();
+
+            const startedAt = Date.now();
+            const launch = waitForLaunch(uuid, CONFIG, {timeout: '100ms', interval: '20ms'});
+            const elapsed = Date.now() - startedAt;
+
+            assert.equal(launch, null);
+            assert.ok(elapsed >= 80 && elapsed < 1000, `waited ${elapsed}ms`);
+            assert.ok(launchPolls(uuid).length >= 4 && launchPolls(uuid).length <= 6);
+            assert.ok(sleeps.every(seconds => seconds === 0.02));
+            assert.match(console.error.mock.calls.at(-1).arguments[0], /was not processed within 100ms/);
+        });
+
+        it('does not sleep past the deadline', () => {
+            reportPortal.reset({processingPolls: 1000});
+            const uuid = reportLaunch();
+
+            assert.equal(waitForLaunch(uuid, CONFIG, {timeout: '50ms', interval: '1s'}), null);
+            assert.deepEqual(sleeps, []);
+            assert.equal(launchPolls(uuid).length, 1);
+        });
+    });
+});
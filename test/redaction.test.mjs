@@ -0,0 +1,87 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {createRedactor, getRedactor} from '../src/redaction.js';
+
+describe('createRedactor', () => {
+    it('masks secrets wherever they appear', () => {
+        const redactor = createRedactor({}, ['s3cr3t-token', undefined, 'abc']);
+
+        assert.equal(redactor.text('Bearer s3cr3t-token sent twice: s3cr3t-token'),
+            'Bearer [REDACTED] sent twice: [REDACTED]');
+        assert.equal(redactor.text('abc is too short to be a secret'), 'abc is too short to be a secret');
+    });
+
+    it('masks header values in text and object keys, case-insensitively', () => {
+        const redactor = createRedactor({headers: ['Authorization']});
+
+        assert.equal(redactor.text('authorization: Bearer xyz\nAccept: */*'), 'authorization: [REDACTED]\nAccept: */*');
+        assert.equal(redactor.text('{"Authorization":"Bearer xyz"}'), '{"Authorization":"[REDACTED]"}');
+        assert.deepEqual(redactor.value({headers: {AUTHORIZATION: 'Bearer xyz', Accept: '*/*'}}),
+            {headers: {AUTHORIZATION: '[REDACTED]', Accept: '*/*'}});
+    });
+
+    it('masks JSON paths, * matching any key or index', () => {
+        const redactor = createRedactor({paths: ['$.user.email', 'items[*].token']});
+        const data = {user: {email: 'a@b.c', name: 'bob'}, items: [{token: 't1'}, {token: 't2', id: 2}]};
+
+        assert.deepEqual(redactor.value(data), {
+            user: {email: '[REDACTED]', name: 'bob'},
+            items: [{token: '[REDACTED]'}, {token: '[REDACTED]', id: 2}]
+        });
+        assert.equal(data.user.email, 'a@b.c');
+    });
+
+    it('masks pattern matches, with or without the global flag', () => {
+        const redactor = createRedactor({patterns: [/\d{4}-\d{4}/, '[\\w.]+@example\\.com']});
+
+        assert.equal(redactor.text('cards 1234-5678 and 8765-4321 of bob@example.com'),
+            'cards [REDACTED] and [REDACTED] of [REDACTED]');
+    });
+
+    it('applies the custom rule after the other rules', () => {
+        const redactor = createRedactor({patterns: ['secret'], custom: text => text.toUpperCase()});
+
+        assert.equal(redactor.text('a secret'), 'A [REDACTED]');
+    });
+
+    it('uses the configured mask', () => {
+        const redactor = createRedactor({mask: '***', paths: ['password']}, ['hunter22']);
+
+        assert.deepEqual(redactor.value({password: 'x', note: 'hunter22'}), {password: '***', note: '***'});
+    });
+
+    it('leaves non-string values as they are', () => {
+        const redactor = createRedactor({}, ['s3cr3t-token']);
+
+        assert.equal(redactor.text(''), '');
+        assert.equal(redactor.text(null), null);
+        assert.deepEqual(redactor.value({count: 3, ok: true, none: null}), {count: 3, ok: true, none: null});
+    });
+
+    it('counts the redactions', () => {
+        const redactor = createRedactor({paths: ['password'], custom: text => text.replace('x', 'y')}, ['s3cr3t']);
+
+        redactor.text('s3cr3t s3cr3t');
+        redactor.value({password: 'p'});
+        redactor.text('x');
+        redactor.text('nothing to do');
+        assert.equal(redactor.getCount(), 4);
+    });
+
+    it('does not count the redactions of copies kept locally', () => {
+        const redactor = createRedactor({paths: ['password']});
+
+        assert.deepEqual(redactor.copy({password: 'p'}), {password: '[REDACTED]'});
+        assert.equal(redactor.getCount(), 0);
+    });
+});
+
+describe('getRedactor', () => {
+    it('shares the redactor of a configuration', () => {
+        const options = {token: 'reporter-token'};
+
+        assert.equal(getRedactor(options), getRedactor(options));
+        assert.notEqual(getRedactor(options), getRedactor({...options}));
+        assert.equal(getRedactor(options).text('token reporter-token'), 'token [REDACTED]');
+    });
+});
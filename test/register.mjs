@@ -0,0 +1,3 @@
+import {register} from 'node:module';
+
+register('./k6-hooks.mjs', import.meta.url);
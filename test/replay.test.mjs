@@ -0,0 +1,131 @@
+import {afterEach, beforeEach, describe, it, mock} from 'node:test';
+import assert from 'node:assert/strict';
+import {createRequire} from 'node:module';
+import {createReporter} from '../src/report-portal-client.js';
+
+const {parseArgs, parseRecording, replayEvent} = createRequire(import.meta.url)('../bin/rp-replay.js');
+
+const OPTIONS = {endpoint: 'http://rp.test', project: 'k6', token: 'token'};
+
+/**
+ * Formats a console message the way k6 writes it to the `--console-output` file
+ */
+const logfmt = message => `time="2024-05-02T10:00:00Z" level=info msg=${JSON.stringify(message)} source=console`;
+
+describe('rp-replay', () => {
+    afterEach(() => mock.restoreAll());
+
+    describe('parseRecording', () => {
+        it('reads the events from the logfmt lines of a k6 console output file', () => {
+            const event = {type: 'log', payload: {message: 'Body: "quoted" \\ back\\slash\ttab'}};
+            const content = [
+                logfmt('Starting suite: Policies'),
+                logfmt(`RP_RECORD ${JSON.stringify(event)}`),
+                'time="2024-05-02T10:00:01Z" level=warning msg="Request Failed" error="timeout"',
+                ''
+            ].join('\n');
+
+            assert.deepEqual(parseRecording(content), [event]);
+        });
+
+        it('reads the events of plain console lines and Windows line endings', () => {
+            const content = [
+                'RP_RECORD {"type":"startLaunch","uuid":"launch-1"}',
+                'INFO[0001] RP_RECORD {"type":"finishLaunch","uuid":"launch-1"}',
+                ''
+            ].join('\r\n');
+
+            assert.deepEqual(parseRecording(content).map(event => event.type), ['startLaunch', 'finishLaunch']);
+        });
+
+        it('reads back every event a recording reporter printed', () => {
+            const printed = [];
+            mock.method(console, 'log', message => printed.push(message));
+            const reporter = createReporter({...OPTIONS, record: true, systemAttributes: false});
+            const client = reporter.start();
+            const suiteId = client.startSuite('Suite "quoted"');
+            client.info(suiteId, 'Line one\nline two');
+            client.finishSuite(suiteId);
+            reporter.finish();
+            mock.restoreAll();
+
+            const events = parseRecording(printed.map(logfmt).join('\n'));
+            assert.deepEqual(events.map(event => event.type),
+                ['startLaunch', 'startItem', 'log', 'finishItem', 'finishLaunch']);
+            assert.equal(events[1].payload.name, 'Suite "quoted"');
+            assert.equal(events[2].payload.message, 'Line one\nline two');
+            assert.equal(events[2].payload.itemUuid, events[1].uuid);
+        });
+    });
+
+    describe('replayEvent', () => {
+        it('sends every event to its Report Portal endpoint', async () => {
+            const requests = [];
+            mock.method(globalThis, 'fetch', async (url, init) => {
+                requests.push(`${init.method} ${url}`);
+                return new Response('{}');
+            });
+
+            const events = [
+                {type: 'startLaunch', uuid: 'launch-1', payload: {}},
+                {type: 'startItem', uuid: 'suite-1', parentUuid: null, payload: {}},
+                {type: 'startItem', uuid: 'test-1', parentUuid: 'suite-1', payload: {}},
+                {type: 'log', payload: {message: 'Hello'}},
+                {type: 'finishItem', uuid: 'test-1', payload: {}},
+                {type: 'finishLaunch', uuid: 'launch-1', payload: {}}
+            ];
+            for (const event of events) {
+                await replayEvent(event, OPTIONS);
+            }
+
+            const api = 'http://rp.test/api/v1/k6';
+            assert.deepEqual(requests, [
+                `POST ${api}/launch`,
+                `POST ${api}/item`,
+                `POST ${api}/item/suite-1`,
+                `POST ${api}/log`,
+                `PUT ${api}/item/test-1`,
+                `PUT ${api}/launch/launch-1/finish`
+            ]);
+        });
+
+        it('fails on a rejected request or an unknown event', async () => {
+            mock.method(globalThis, 'fetch', async () => new Response('Forbidden', {status: 403}));
+
+            await assert.rejects(replayEvent({type: 'finishItem', uuid: 'test-1', payload: {}}, OPTIONS),
+                /PUT http:\/\/rp\.test\/api\/v1\/k6\/item\/test-1 failed with status 403: Forbidden/);
+            await assert.rejects(replayEvent({type: 'unknown'}, OPTIONS), /Unknown recorded event "unknown"/);
+        });
+    });
+
+    describe('parseArgs', () => {
+        const ENV = {RP_ENDPOINT: 'http://env.test', RP_PROJECT: undefined, RP_TOKEN: 'env-token'};
+        let saved;
+
+        beforeEach(() => {
+            saved = Object.fromEntries(Object.keys(ENV).map(name => [name, process.env[name]]));
+            setEnv(ENV);
+        });
+        afterEach(() => setEnv(saved));
+
+        function setEnv(variables) {
+            for (const [name, value] of Object.entries(variables)) {
+                if (value === undefined) delete process.env[name];
+                else process.env[name] = value;
+            }
+        }
+
+        it('reads the options from the arguments before the environment', () => {
+            assert.deepEqual(parseArgs(['run.log', '--project', 'k6', '--token', 'secret']), {
+                file: 'run.log',
+                endpoint: 'http://env.test',
+                project: 'k6',
+                token: 'secret'
+            });
+        });
+
+        it('names the missing options', () => {
+            assert.throws(() => parseArgs(['--token', 'secret']), /^Error: Missing file, project\. Usage: /);
+        });
+    });
+});
@@ -0,0 +1,674 @@
+import {afterEach, beforeEach, describe, it, mock} from 'node:test';
+import assert from 'node:assert/strict';
+import {sleeps} from 'k6';
+import {reportPortal} from './fake-report-portal.mjs';
+import {runTestSuites} from '../src/index.js';
+import {createReporter, ItemType, Status} from '../src/report-portal-client.js';
+import {AfterEach, BeforeEach, Setup, Skip, Suite, Teardown, Test, TestCases} from '../src/decorators.js';
+
+const CONFIG = {
+    endpoint: 'http://rp.test',
+    project: 'k6',
+    token: 'token',
+    launch: 'Runner',
+    publishResult: true,
+    systemAttributes: false
+};
+
+/**
+ * Applies the decorators of a suite class the way the legacy decorators transform does,
+ * `members` maps the method names to their decorators
+ */
+function defineSuite(SuiteClass, members) {
+    for (const [name, decorators] of Object.entries(members)) {
+        const descriptor = Object.getOwnPropertyDescriptor(SuiteClass.prototype, name);
+        decorators.forEach(decorator => decorator(SuiteClass.prototype, name, descriptor));
+    }
+    return Suite({name: SuiteClass.name, description: '', features: []})(SuiteClass);
+}
+
+/**
+ * Runs suite classes against the fake Report Portal
+ * @returns {Promise<Error|null>} Error of the first failed suite, null if every suite passed
+ */
+async function run(suiteClasses, options = {}) {
+    const logger = createReporter(CONFIG).start();
+    const testSuites = Object.fromEntries(suiteClasses.map(SuiteClass => [SuiteClass.name, new SuiteClass()]));
+    try {
+        await runTestSuites({logger, testSuites, enabledSuites: Object.keys(testSuites), ...options});
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+const suiteItem = name => reportPortal.items().find(item => item.type === ItemType.SUITE && item.name === name);
+const summary = items => items.map(({name, type, status}) => ({name, type, status}));
+const messages = item => reportPortal.logs.filter(log => log.itemUuid === item.uuid).map(log => log.message);
+
+describe('test runner', () => {
+    beforeEach(() => {
+        reportPortal.reset();
+        sleeps.length = 0;
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+    afterEach(() => mock.restoreAll());
+
+    describe('per-test hooks', () => {
+        it('reports the hooks of every test as BEFORE_METHOD and AFTER_METHOD items of the suite', async () => {
+            class Hooks {
+                before() {}
+                first() {}
+                second() {}
+                after() {}
+            }
+            defineSuite(Hooks, {
+                before: [BeforeEach()],
+                first: [Test({name: 'First'})],
+                second: [Test({name: 'Second'})],
+                after: [AfterEach()]
+            });
+
+            assert.equal(await run([Hooks]), null);
+            assert.deepEqual(summary(reportPortal.children(suiteItem('Hooks'))), [
+                {name: 'First', type: ItemType.TEST, status: Status.PASSED},
+                {name: 'Before: First', type: ItemType.BEFORE_METHOD, status: Status.PASSED},
+                {name: 'After: First', type: ItemType.AFTER_METHOD, status: Status.PASSED},
+                {name: 'Second', type: ItemType.TEST, status: Status.PASSED},
+                {name: 'Before: Second', type: ItemType.BEFORE_METHOD, status: Status.PASSED},
+                {name: 'After: Second', type: ItemType.AFTER_METHOD, status: Status.PASSED}
+            ]);
+        });
+
+        it('passes the value of beforeEach to the test and the test error to afterEach', async () => {
+            const seen = [];
+            class Session {
+                login(setupResult, context) {
+                    return {user: `user of ${context.testMetadata.name}`};
+                }
+                uses(setupResult, context) {
+                    seen.push(context.testData.user);
+                    throw new Error('Request rejected');
+                }
+                logout(setupResult, context) {
+                    seen.push(context.testData.user, context.testError.message);
+                }
+            }
+            defineSuite(Session, {
+                login: [BeforeEach()],
+                uses: [Test({name: 'Uses the session'})],
+                logout: [AfterEach()]
+            });
+
+            await run([Session]);
+            assert.deepEqual(seen, ['user of Uses the session', 'user of Uses the session', 'Request rejected']);
+        });
+
+        it('skips the test as to investigate when beforeEach fails, and runs the next test', async () => {
+            const ran = [];
+            class Failing {
+                before(setupResult, context) {
+                    if (context.testMetadata.name === 'First') throw new Error('Login rejected');
+                }
+                first() {
+                    ran.push('first');
+                }
+                second() {
+                    ran.push('second');
+                }
+                after(setupResult, context) {
+                    ran.push(`after ${context.testMetadata.name}`);
+                }
+            }
+            defineSuite(Failing, {
+                before: [BeforeEach()],
+                first: [Test({name: 'First'})],
+                second: [Test({name: 'Second'})],
+                after: [AfterEach()]
+            });
+
+            await run([Failing]);
+            assert.deepEqual(ran, ['second', 'after Second']);
+            assert.equal(reportPortal.item('Before: First').status, Status.FAILED);
+            assert.equal(reportPortal.item('After: First'), undefined);
+
+            const first = reportPortal.item('First');
+            assert.equal(first.status, Status.SKIPPED);
+            assert.deepEqual(first.issue, {issueType: 'ti001', comment: 'beforeEach hook failed: Login rejected'});
+            assert.equal(reportPortal.item('Second').status, Status.PASSED);
+        });
+
+        it('fails a passed test when afterEach fails', async () => {
+            class Cleanup {
+                passes() {}
+                after() {
+                    throw new Error('Cleanup failed');
+                }
+            }
+            defineSuite(Cleanup, {
+                passes: [Test({name: 'Passes'})],
+                after: [AfterEach()]
+            });
+
+            const error = await run([Cleanup]);
+            assert.equal(error.message, 'Cleanup failed');
+            assert.equal(reportPortal.item('After: Passes').status, Status.FAILED);
+            assert.equal(reportPortal.item('Passes').status, Status.FAILED);
+            assert.ok(messages(reportPortal.item('Passes'))
+                .includes('Test failed: afterEach hook failed: Cleanup failed'));
+        });
+    });
+
+    describe('suite setup and teardown', () => {
+        it('reports setup and teardown as BEFORE_CLASS and AFTER_CLASS items around the tests', async () => {
+            const seen = [];
+            class Lifecycle {
+                setUp() {
+                    return {tenant: 'acme'};
+                }
+                uses(setupResult) {
+                    seen.push(setupResult.tenant);
+                }
+                tearDown(setupResult) {
+                    seen.push(`teardown ${setupResult.tenant}`);
+                }
+            }
+            defineSuite(Lifecycle, {
+                setUp: [Setup()],
+                uses: [Test({name: 'Uses the tenant'})],
+                tearDown: [Teardown()]
+            });
+
+            assert.equal(await run([Lifecycle]), null);
+            assert.deepEqual(seen, ['acme', 'teardown acme']);
+            assert.deepEqual(summary(reportPortal.children(suiteItem('Lifecycle'))), [
+                {name: 'Suite setup', type: ItemType.BEFORE_CLASS, status: Status.PASSED},
+                {name: 'Uses the tenant', type: ItemType.TEST, status: Status.PASSED},
+                {name: 'Suite teardown', type: ItemType.AFTER_CLASS, status: Status.PASSED}
+            ]);
+            assert.equal(reportPortal.item('Suite setup').codeRef, 'Lifecycle.setUp');
+        });
+
+        it('skips every test as to investigate when setup fails, and still runs teardown', async () => {
+            const ran = [];
+            class BrokenSetup {
+                setUp() {
+                    throw new Error('Database unreachable');
+                }
+                first() {
+                    ran.push('first');
+                }
+                second() {
+                    ran.push('second');
+                }
+                tearDown() {
+                    ran.push('teardown');
+                }
+            }
+            defineSuite(BrokenSetup, {
+                setUp: [Setup()],
+                first: [Test({name: 'First'})],
+                second: [Test({name: 'Second'})],
+                tearDown: [Teardown()]
+            });
+
+            const error = await run([BrokenSetup]);
+            assert.equal(error.message, 'Database unreachable');
+            assert.deepEqual(ran, ['teardown']);
+            assert.deepEqual(summary(reportPortal.children(suiteItem('BrokenSetup'))), [
+                {name: 'Suite setup', type: ItemType.BEFORE_CLASS, status: Status.FAILED},
+                {name: 'First', type: ItemType.TEST, status: Status.SKIPPED},
+                {name: 'Second', type: ItemType.TEST, status: Status.SKIPPED},
+                {name: 'Suite teardown', type: ItemType.AFTER_CLASS, status: Status.PASSED}
+            ]);
+            for (const name of ['First', 'Second']) {
+                assert.deepEqual(reportPortal.item(name).issue,
+                    {issueType: 'ti001', comment: 'Suite setup failed: Database unreachable'});
+            }
+        });
+
+        it('fails the suite when teardown fails', async () => {
+            class BrokenTeardown {
+                passes() {}
+                tearDown() {
+                    throw new Error('Cleanup failed');
+                }
+            }
+            defineSuite(BrokenTeardown, {
+                passes: [Test({name: 'Passes'})],
+                tearDown: [Teardown()]
+            });
+
+            const error = await run([BrokenTeardown]);
+            assert.equal(error.message, 'Cleanup failed');
+            assert.equal(reportPortal.item('Passes').status, Status.PASSED);
+            assert.equal(reportPortal.item('Suite teardown').status, Status.FAILED);
+            assert.ok(messages(suiteItem('BrokenTeardown')).includes('Suite teardown failed: Cleanup failed'));
+        });
+    });
+
+    describe('skipping', () => {
+        it('reports a test marked with @Skip as skipped with no defect without running it', async () => {
+            const ran = [];
+            class Skipped {
+                skipped() {
+                    ran.push('skipped');
+                }
+                defaultReason() {
+                    ran.push('defaultReason');
+                }
+            }
+            defineSuite(Skipped, {
+                skipped: [Test({name: 'Skipped'}), Skip({reason: 'Flaky, see BUG-12'})],
+                defaultReason: [Test({name: 'Default reason'}), Skip()]
+            });
+
+            assert.equal(await run([Skipped]), null);
+            assert.deepEqual(ran, []);
+            assert.equal(reportPortal.item('Skipped').status, Status.SKIPPED);
+            assert.deepEqual(reportPortal.item('Skipped').issue, {issueType: 'nd001', comment: 'Flaky, see BUG-12'});
+            assert.equal(reportPortal.item('Default reason').issue.comment, 'Skipped by @Skip');
+        });
+
+        it('evaluates the skip condition against the runtime configuration', async () => {
+            const ran = [];
+            class Conditional {
+                byReason() {
+                    ran.push('byReason');
+                }
+                byFlag() {
+                    ran.push('byFlag');
+                }
+                runs() {
+                    ran.push('runs');
+                }
+            }
+            defineSuite(Conditional, {
+                byReason: [Test({name: 'By reason', skip: config => config.environment === 'prod' && 'Not on prod'})],
+                byFlag: [Test({name: 'By flag', skip: true, skipReason: 'Disabled'})],
+                runs: [Test({name: 'Runs', skip: config => config.environment === 'staging'})]
+            });
+
+            assert.equal(await run([Conditional], {environment: 'prod'}), null);
+            assert.deepEqual(ran, ['runs']);
+            assert.equal(reportPortal.item('By reason').issue.comment, 'Not on prod');
+            assert.equal(reportPortal.item('By flag').issue.comment, 'Disabled');
+            assert.equal(reportPortal.item('Runs').status, Status.PASSED);
+        });
+
+        it('fails the test when its skip condition throws', async () => {
+            class Throwing {
+                test() {}
+            }
+            defineSuite(Throwing, {
+                test: [Test({name: 'Throwing condition', skip: config => config.flags.skip})]
+            });
+
+            assert.ok(await run([Throwing]));
+            assert.equal(reportPortal.item('Throwing condition').status, Status.FAILED);
+        });
+
+        it('stops a test calling skip() from its body and still runs afterEach', async () => {
+            const ran = [];
+            class Runtime {
+                test(setupResult, context) {
+                    ran.push('before skip');
+                    context.skip('Feature flag is off');
+                    ran.push('after skip');
+                }
+                after() {
+                    ran.push('afterEach');
+                }
+            }
+            defineSuite(Runtime, {
+                test: [Test({name: 'Skips itself'})],
+                after: [AfterEach()]
+            });
+
+            assert.equal(await run([Runtime]), null);
+            assert.deepEqual(ran, ['before skip', 'afterEach']);
+            assert.equal(reportPortal.item('Skips itself').status, Status.SKIPPED);
+            assert.deepEqual(reportPortal.item('Skips itself').issue,
+                {issueType: 'nd001', comment: 'Feature flag is off'});
+        });
+    });
+
+    describe('retries', () => {
+        it('reports every attempt as a retry of the previous one until the test passes', async () => {
+            let attempts = 0;
+            class Flaky {
+                test(setupResult, context) {
+                    attempts++;
+                    if (context.attempt < 3) throw new Error(`Attempt ${context.attempt} failed`);
+                }
+            }
+            defineSuite(Flaky, {
+                test: [Test({name: 'Flaky', retries: 3, retryDelay: '10ms'})]
+            });
+
+            assert.equal(await run([Flaky]), null);
+            assert.equal(attempts, 3);
+
+            const [first, second, third] = reportPortal.children(suiteItem('Flaky'));
+            assert.deepEqual(summary([first, second, third]), [
+                {name: 'Flaky', type: ItemType.TEST, status: Status.FAILED},
+                {name: 'Flaky', type: ItemType.TEST, status: Status.FAILED},
+                {name: 'Flaky', type: ItemType.TEST, status: Status.PASSED}
+            ]);
+            assert.equal(first.retry, undefined);
+            assert.deepEqual([second.retry, second.retryOf], [true, first.uuid]);
+            assert.deepEqual([third.retry, third.retryOf], [true, second.uuid]);
+            assert.equal(first.testCaseId, third.testCaseId);
+            assert.deepEqual(sleeps, [0.01, 0.01]);
+            assert.ok(messages(third).includes('Test passed after 3 attempts'));
+        });
+
+        it('fails the test once its retries are used up', async () => {
+            class Failing {
+                test() {
+                    throw new Error('Always fails');
+                }
+            }
+            defineSuite(Failing, {
+                test: [Test({name: 'Always fails', retries: 1})]
+            });
+
+            const error = await run([Failing]);
+            assert.equal(error.message, 'Always fails');
+            assert.deepEqual(reportPortal.children(suiteItem('Failing')).map(item => item.status),
+                [Status.FAILED, Status.FAILED]);
+            assert.deepEqual(sleeps, []);
+        });
+
+        it('only retries the errors retryOn accepts', async () => {
+            class Selective {
+                test() {
+                    throw new Error('Assertion failed');
+                }
+            }
+            defineSuite(Selective, {
+                test: [Test({name: 'Selective', retries: 2, retryOn: error => error.message.includes('timeout')})]
+            });
+
+            await run([Selective]);
+            assert.equal(reportPortal.children(suiteItem('Selective')).length, 1);
+        });
+
+        it('takes the retries from the configuration when the test does not set them', async () => {
+            let attempts = 0;
+            class Configured {
+                test() {
+                    attempts++;
+                    throw new Error('Fails');
+                }
+            }
+            defineSuite(Configured, {
+                test: [Test({name: 'Configured'})]
+            });
+
+            await run([Configured], {retries: 2});
+            assert.equal(attempts, 3);
+        });
+    });
+
+    describe('timeouts', () => {
+        const never = () => new Promise(() => {});
+
+        it('interrupts a test running longer than its timeout and runs the next tests', async () => {
+            const ran = [];
+            class Slow {
+                async hangs(setupResult, context) {
+                    await context.step('Waits for the export', never);
+                }
+                next() {
+                    ran.push('next');
+                }
+            }
+            defineSuite(Slow, {
+                hangs: [Test({name: 'Hangs', timeout: '20ms'})],
+                next: [Test({name: 'Next'})]
+            });
+
+            const error = await run([Slow]);
+            assert.equal(error.name, 'TimeoutError');
+            assert.equal(error.message, 'Test timed out after 20ms');
+            assert.deepEqual(ran, ['next']);
+            assert.equal(reportPortal.item('Hangs').status, Status.INTERRUPTED);
+            assert.equal(reportPortal.item('Waits for the export').status, Status.INTERRUPTED);
+            assert.equal(reportPortal.item('Next').status, Status.PASSED);
+            // Only the suite deadline interrupts the suite
+            assert.notEqual(suiteItem('Slow').status, Status.INTERRUPTED);
+        });
+
+        it('takes the test timeout from the configuration', async () => {
+            class Configured {
+                async hangs() {
+                    await never();
+                }
+            }
+            defineSuite(Configured, {
+                hangs: [Test({name: 'Hangs'})]
+            });
+
+            const error = await run([Configured], {testTimeout: '20ms'});
+            assert.equal(error.message, 'Test timed out after 20ms');
+            assert.equal(reportPortal.item('Hangs').status, Status.INTERRUPTED);
+        });
+
+        it('skips the tests left once the suite timed out and interrupts the suite', async () => {
+            class Deadline {
+                blocks() {
+                    const until = Date.now() + 60;
+                    while (Date.now() < until) {
+                        // Blocks like a synchronous k6 request
+                    }
+                }
+                left() {}
+            }
+            defineSuite(Deadline, {
+                blocks: [Test({name: 'Blocks'})],
+                left: [Test({name: 'Left'})]
+            });
+
+            const error = await run([Deadline], {suiteTimeout: '50ms'});
+            assert.equal(error.message, 'Suite timed out');
+            assert.equal(reportPortal.item('Blocks').status, Status.PASSED);
+            assert.equal(reportPortal.item('Left').status, Status.SKIPPED);
+            assert.deepEqual(reportPortal.item('Left').issue, {issueType: 'ti001', comment: 'Suite timed out'});
+            assert.equal(suiteItem('Deadline').status, Status.INTERRUPTED);
+        });
+    });
+
+    describe('steps', () => {
+        it('reports nested steps as STEP items without statistics under the test', async () => {
+            const values = [];
+            class Steps {
+                async test(setupResult, context) {
+                    values.push(context.step('Create the policy', stepContext => {
+                        stepContext.step('Validate the payload', () => {});
+                        return 'policy-1';
+                    }));
+                    values.push(await context.step('Wait for the rollout', async () => 'rolled out'));
+                }
+            }
+            defineSuite(Steps, {
+                test: [Test({name: 'Steps'})]
+            });
+
+            assert.equal(await run([Steps]), null);
+            assert.deepEqual(values, ['policy-1', 'rolled out']);
+
+            const test = reportPortal.item('Steps');
+            const [create, rollout] = reportPortal.children(test);
+            assert.deepEqual(summary([create, rollout]), [
+                {name: 'Create the policy', type: ItemType.STEP, status: Status.PASSED},
+                {name: 'Wait for the rollout', type: ItemType.STEP, status: Status.PASSED}
+            ]);
+            assert.deepEqual(summary(reportPortal.children(create)),
+                [{name: 'Validate the payload', type: ItemType.STEP, status: Status.PASSED}]);
+            assert.ok([create, rollout].every(step => step.hasStats === false));
+        });
+
+        it('fails the steps above a failed step and the test', async () => {
+            const ran = [];
+            class Failing {
+                test(setupResult, context) {
+                    context.step('Outer', stepContext => {
+                        stepContext.step('Inner', () => {
+                            throw new Error('Rejected');
+                        });
+                        ran.push('after inner');
+                    });
+                }
+            }
+            defineSuite(Failing, {
+                test: [Test({name: 'Failing step'})]
+            });
+
+            const error = await run([Failing]);
+            assert.equal(error.message, 'Rejected');
+            assert.deepEqual(ran, []);
+            assert.equal(reportPortal.item('Inner').status, Status.FAILED);
+            assert.equal(reportPortal.item('Outer').status, Status.FAILED);
+            assert.equal(reportPortal.item('Failing step').status, Status.FAILED);
+            assert.ok(messages(reportPortal.item('Inner')).includes('Step failed: Rejected'));
+        });
+
+        it('fails a step and the test on a failed check, after the step completed', async () => {
+            const ran = [];
+            class Checks {
+                test(setupResult, context) {
+                    context.step('Check the response', stepContext => {
+                        stepContext.check({status: 500}, {'status is 200': response => response.status === 200});
+                        ran.push('after check');
+                    });
+                    context.step('Next step', () => {});
+                }
+            }
+            defineSuite(Checks, {
+                test: [Test({name: 'Checks'})]
+            });
+
+            const error = await run([Checks]);
+            assert.equal(error.name, 'CheckFailedError');
+            assert.deepEqual(ran, ['after check']);
+
+            const step = reportPortal.item('Check the response');
+            assert.equal(step.status, Status.FAILED);
+            assert.deepEqual(summary(reportPortal.children(step)),
+                [{name: 'status is 200', type: ItemType.STEP, status: Status.FAILED}]);
+            assert.equal(reportPortal.item('Next step').status, Status.PASSED);
+            assert.equal(reportPortal.item('Checks').status, Status.FAILED);
+        });
+
+        it('reports a step calling skip() as skipped', async () => {
+            class Skipping {
+                test(setupResult, context) {
+                    context.step('Optional step', stepContext => stepContext.skip('Not supported'));
+                }
+            }
+            defineSuite(Skipping, {
+                test: [Test({name: 'Skipping'})]
+            });
+
+            assert.equal(await run([Skipping]), null);
+            assert.equal(reportPortal.item('Optional step').status, Status.SKIPPED);
+            assert.equal(reportPortal.item('Skipping').status, Status.SKIPPED);
+        });
+    });
+
+    describe('parameterized tests', () => {
+        it('runs a test once per row, named and reported with the row values', async () => {
+            const seen = [];
+            class Users {
+                creates(setupResult, context) {
+                    seen.push(context.testCase);
+                    if (context.testCase.role === 'guest') throw new Error('Forbidden');
+                }
+            }
+            defineSuite(Users, {
+                creates: [
+                    Test({name: 'Creates {role} user #{index}'}),
+                    TestCases([{role: 'admin', limits: {max: 5}}, {role: 'guest', limits: null}, {role: 'viewer'}])
+                ]
+            });
+
+            const error = await run([Users]);
+            assert.equal(error.message, 'Forbidden');
+            assert.deepEqual(seen.map(row => row.role), ['admin', 'guest', 'viewer']);
+            assert.deepEqual(summary(reportPortal.children(suiteItem('Users'))), [
+                {name: 'Creates admin user #1', type: ItemType.TEST, status: Status.PASSED},
+                {name: 'Creates guest user #2', type: ItemType.TEST, status: Status.FAILED},
+                {name: 'Creates viewer user #3', type: ItemType.TEST, status: Status.PASSED}
+            ]);
+            assert.deepEqual(reportPortal.item('Creates admin user #1').parameters, [
+                {key: 'role', value: 'admin'},
+                {key: 'limits', value: '{"max":5}'}
+            ]);
+        });
+
+        it('appends the row values to a name without placeholders', async () => {
+            class Values {
+                test() {}
+            }
+            defineSuite(Values, {
+                test: [Test({name: 'Accepts'}), TestCases([{size: 1, unit: 'kb'}, 42])]
+            });
+
+            await run([Values]);
+            assert.deepEqual(reportPortal.children(suiteItem('Values')).map(item => item.name),
+                ['Accepts [1, kb]', 'Accepts [42]']);
+            assert.deepEqual(reportPortal.item('Accepts [42]').parameters, [{key: 'value', value: '42'}]);
+        });
+
+        it('loads the rows from a function of the runtime configuration', async () => {
+            class Regions {
+                test() {}
+            }
+            defineSuite(Regions, {
+                test: [Test({name: 'Serves {region}', cases: config => config.regions.map(region => ({region}))})]
+            });
+
+            await run([Regions], {regions: ['eu', 'us']});
+            assert.deepEqual(reportPortal.children(suiteItem('Regions')).map(item => item.name),
+                ['Serves eu', 'Serves us']);
+        });
+
+        it('fails the test when its rows cannot be loaded', async () => {
+            class Broken {
+                test() {}
+            }
+            defineSuite(Broken, {
+                test: [Test({name: 'Broken rows'}), TestCases(() => {
+                    throw new Error('Missing data file');
+                })]
+            });
+
+            const error = await run([Broken]);
+            assert.equal(error.message, 'Failed to load test cases: Missing data file');
+            assert.equal(reportPortal.item('Broken rows').status, Status.FAILED);
+        });
+
+        it('lists every test case in dry-run mode without reporting', async () => {
+            class Listed {
+                test() {}
+            }
+            defineSuite(Listed, {
+                test: [Test({name: 'Lists {id}'}), TestCases([{id: 'a'}, {id: 'b'}])]
+            });
+
+            const selected = await runTestSuites({
+                testSuites: {Listed: new Listed()},
+                enabledSuites: ['Listed'],
+                dryRun: true
+            });
+            assert.deepEqual(selected, [
+                {suite: 'Listed', test: 'Lists a', method: 'test', parameters: {id: 'a'}},
+                {suite: 'Listed', test: 'Lists b', method: 'test', parameters: {id: 'b'}}
+            ]);
+            assert.deepEqual(reportPortal.requests, []);
+        });
+    });
+});
@@ -0,0 +1,27 @@
+/**
+ * Stub of the `k6/http` module sending the requests to the fake Report Portal
+ */
+import {reportPortal} from '../fake-report-portal.mjs';
+
+function request(method, url, body = null, params = {}) {
+    return reportPortal.handle(method, url, body, params);
+}
+
+export default {
+    request,
+    get: (url, params) => request('GET', url, null, params),
+    post: (url, body, params) => request('POST', url, body, params),
+    put: (url, body, params) => request('PUT', url, body, params),
+    patch: (url, body, params) => request('PATCH', url, body, params),
+    del: (url, body, params) => request('DELETE', url, body, params),
+    head: (url, params) => request('HEAD', url, null, params),
+    options: (url, body, params) => request('OPTIONS', url, body, params),
+
+    // The request is answered once it completes, after the code running now
+    asyncRequest: (method, url, body, params) => new Promise(resolve => {
+        setTimeout(() => resolve(request(method, url, body, params)), 1);
+    }),
+
+    batch: requests => requests.map(entry => (Array.isArray(entry)
+        ? request(...entry) : request(entry.method, entry.url, entry.body, entry.params)))
+};
@@ -0,0 +1,18 @@
+/**
+ * Stub of the `k6` module. `sleep` blocks like in k6 and records the slept durations in seconds in `sleeps`.
+ */
+export const sleeps = [];
+
+const blocker = new Int32Array(new SharedArrayBuffer(4));
+
+export function sleep(seconds) {
+    sleeps.push(seconds);
+    Atomics.wait(blocker, 0, 0, seconds * 1000);
+}
+
+export function check(value, checks) {
+    return Object.values(checks).every(condition => Boolean(typeof condition === 'function'
+        ? condition(value) : condition));
+}
+
+export default {check, sleep};